@@ -0,0 +1,58 @@
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { loadConfig, validateConfig } from './config';
+
+describe('loadConfig', () => {
+    let dir: string;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-config-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('loads .baselinerc.json', async () => {
+        await fs.writeFile(path.join(dir, '.baselinerc.json'), JSON.stringify({ threshold: 3 }));
+        expect(await loadConfig(dir)).toEqual({ config: { threshold: 3 }, filepath: path.join(dir, '.baselinerc.json') });
+    });
+
+    it('loads an ES module config', async () => {
+        await fs.writeFile(path.join(dir, 'baseline.config.mjs'), "export default { browsers: ['safari >= 15'] };\n");
+        const loaded = await loadConfig(dir);
+        expect(loaded?.config).toEqual({ browsers: ['safari >= 15'] });
+    });
+
+    it('loads baseline.config.js from a "type": "module" package', async () => {
+        await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+        await fs.writeFile(path.join(dir, 'baseline.config.js'), "export default { format: 'json' };\n");
+        const loaded = await loadConfig(dir);
+        expect(loaded?.config).toEqual({ format: 'json' });
+    });
+
+    it('loads a CommonJS config', async () => {
+        await fs.writeFile(path.join(dir, 'baseline.config.cjs'), "module.exports = { autoFix: true };\n");
+        const loaded = await loadConfig(dir);
+        expect(loaded?.config).toEqual({ autoFix: true });
+    });
+
+    it('reads the baselineCopilot key of package.json in a parent directory', async () => {
+        const nested = path.join(dir, 'packages', 'app');
+        await fs.mkdir(nested, { recursive: true });
+        await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ baselineCopilot: { baseline: 2023 } }));
+        const loaded = await loadConfig(nested);
+        expect(loaded).toEqual({ config: { baseline: '2023' }, filepath: path.join(dir, 'package.json') });
+    });
+});
+
+describe('validateConfig', () => {
+    it('lists every invalid option', () => {
+        expect(() => validateConfig({ threshold: -1, colour: 'red' }, 'config.json')).toThrow(
+            'Invalid configuration in config.json:\n'
+            + '  - "threshold" must be a non-negative integer, got -1\n'
+            + '  - "colour" is not a known option'
+        );
+    });
+});
@@ -0,0 +1,137 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { RULE_LEVELS } from '../src/rules/index.js';
+
+export interface BaselineConfig {
+    browsers?: string[];
+    browserslist?: string | string[];
+    baseline?: string;
+    asOf?: string;
+    riskTolerance?: 'low' | 'medium' | 'high';
+    include?: string[];
+    exclude?: string[];
+    threshold?: number;
+    autoFix?: boolean;
+    format?: 'table' | 'json' | 'markdown' | 'junit' | 'sarif' | 'compact' | 'github' | 'html';
+    output?: string;
+    rules?: Record<string, 'off' | 'info' | 'warn' | 'error' | 'allow'>;
+}
+
+export interface LoadedConfig {
+    config: BaselineConfig;
+    filepath: string;
+}
+
+// Checked in this order in every directory from cwd up to the filesystem root
+export const CONFIG_FILES = ['.baselinerc.json', 'baseline.config.js', 'baseline.config.mjs', 'baseline.config.cjs'];
+export const PACKAGE_JSON_KEY = 'baselineCopilot';
+
+export const DEFAULT_CONFIG: BaselineConfig = {
+    riskTolerance: 'medium',
+    include: ['**/*.{js,ts,jsx,tsx,css,html}'],
+    exclude: ['node_modules/**', 'dist/**'],
+    threshold: 10,
+    autoFix: false,
+    format: 'table'
+};
+
+const isString = (value: unknown) => typeof value === 'string';
+const isStringArray = (value: unknown) => Array.isArray(value) && value.every(isString);
+const oneOf = (...values: string[]) => (value: unknown) => values.includes(value as string);
+
+const CONFIG_SCHEMA: Record<string, { valid: (value: unknown) => boolean; expected: string }> = {
+    browsers: { valid: isStringArray, expected: 'an array of target queries, e.g. ["safari >= 15"]' },
+    browserslist: { valid: value => isString(value) || isStringArray(value), expected: 'a browserslist query string or array' },
+    baseline: { valid: value => /^(\d{4}|widely|newly)$/.test(String(value)), expected: 'a year (e.g. 2024), "widely" or "newly"' },
+    asOf: { valid: value => isString(value) && /^\d{4}-\d{2}-\d{2}$/.test(value as string), expected: 'a date as YYYY-MM-DD' },
+    riskTolerance: { valid: oneOf('low', 'medium', 'high'), expected: '"low", "medium" or "high"' },
+    include: { valid: isStringArray, expected: 'an array of glob patterns' },
+    exclude: { valid: isStringArray, expected: 'an array of glob patterns' },
+    threshold: { valid: value => Number.isInteger(value) && (value as number) >= 0, expected: 'a non-negative integer' },
+    autoFix: { valid: value => typeof value === 'boolean', expected: 'true or false' },
+    format: { valid: oneOf('table', 'json', 'markdown', 'junit', 'sarif', 'compact', 'github', 'html'), expected: '"table", "json", "markdown", "junit", "sarif", "compact", "github" or "html"' },
+    output: { valid: isString, expected: 'a file path' },
+    rules: {
+        valid: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+            && Object.values(value as object).every(level => RULE_LEVELS.includes(level as string)),
+        expected: 'an object mapping feature IDs or "group:<id>" to "off", "info", "warn" or "error"'
+    }
+};
+
+export function validateConfig(config: unknown, filepath: string): BaselineConfig {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Invalid configuration in ${filepath}: expected an object`);
+    }
+
+    const problems: string[] = [];
+    Object.entries(config).forEach(([key, value]) => {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule) {
+            problems.push(`"${key}" is not a known option (expected one of: ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+        } else if (!rule.valid(value)) {
+            problems.push(`"${key}" must be ${rule.expected}, got ${JSON.stringify(value)}`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration in ${filepath}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    const validated = { ...config } as BaselineConfig;
+    if (validated.baseline !== undefined) validated.baseline = String(validated.baseline);
+    return validated;
+}
+
+// The CLI compiles to CommonJS, where TypeScript rewrites import() to require() and ESM configs
+// (.mjs, or .js in a "type": "module" package) fail to load. Function keeps a real dynamic import.
+const importModule = new Function('specifier', 'return import(specifier)') as (specifier: string) => Promise<any>;
+
+async function readConfigFile(filepath: string): Promise<unknown> {
+    if (filepath.endsWith('.json')) {
+        const content = await fs.readFile(filepath, 'utf-8');
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Could not parse ${filepath}: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    const module = await importModule(pathToFileURL(filepath).href);
+    return module.default ?? module;
+}
+
+async function exists(filepath: string): Promise<boolean> {
+    try {
+        await fs.access(filepath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Walks up from `cwd` and returns the first configuration found, or null
+export async function loadConfig(cwd: string = process.cwd()): Promise<LoadedConfig | null> {
+    let dir = path.resolve(cwd);
+
+    while (true) {
+        for (const name of CONFIG_FILES) {
+            const filepath = path.join(dir, name);
+            if (await exists(filepath)) {
+                return { config: validateConfig(await readConfigFile(filepath), filepath), filepath };
+            }
+        }
+
+        const packagePath = path.join(dir, 'package.json');
+        if (await exists(packagePath)) {
+            const pkg = await readConfigFile(packagePath) as Record<string, unknown>;
+            if (pkg && pkg[PACKAGE_JSON_KEY] !== undefined) {
+                return { config: validateConfig(pkg[PACKAGE_JSON_KEY], `${packagePath} ("${PACKAGE_JSON_KEY}")`), filepath: packagePath };
+            }
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
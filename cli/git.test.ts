@@ -0,0 +1,87 @@
+import { execFileSync } from 'child_process';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { getChangedLines, isLineChanged, parseUnifiedDiff, unquotePath } from './git';
+
+describe('unquotePath', () => {
+    it('leaves plain paths alone', () => {
+        expect(unquotePath('b/src/app.js')).toBe('b/src/app.js');
+    });
+
+    it('decodes C escapes and octal UTF-8 bytes', () => {
+        expect(unquotePath('"b/a\\tb.js"')).toBe('b/a\tb.js');
+        expect(unquotePath('"b/say \\"hi\\".js"')).toBe('b/say "hi".js');
+        expect(unquotePath('"b/\\303\\274ber.js"')).toBe('b/über.js');
+    });
+});
+
+describe('parseUnifiedDiff', () => {
+    const root = path.resolve('/repo');
+
+    it('collects added and modified line ranges per file', () => {
+        const diff = [
+            'diff --git a/src/app.js b/src/app.js',
+            '--- a/src/app.js',
+            '+++ b/src/app.js',
+            '@@ -3 +3,2 @@',
+            '@@ -10,0 +12 @@',
+            'diff --git a/old.js b/old.js',
+            '+++ /dev/null',
+            '@@ -1,2 +0,0 @@'
+        ].join('\n');
+        expect(parseUnifiedDiff(diff, root)).toEqual(new Map([[path.join(root, 'src/app.js'), new Set([3, 4, 12])]]));
+    });
+
+    it('reads names with spaces and quoted names', () => {
+        const diff = [
+            '+++ b/my file.js\t',
+            '@@ -1 +1 @@',
+            '+++ "b/tab\\there.js"',
+            '@@ -2 +2 @@'
+        ].join('\n');
+        expect([...parseUnifiedDiff(diff, root).keys()]).toEqual([path.join(root, 'my file.js'), path.join(root, 'tab\there.js')]);
+    });
+});
+
+describe('getChangedLines', () => {
+    let dir: string;
+    const run = (...args: string[]) => execFileSync('git', args, { cwd: dir, stdio: 'pipe' });
+
+    beforeEach(async () => {
+        dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-git-')));
+        run('init', '-q');
+        run('config', 'user.email', 'test@example.com');
+        run('config', 'user.name', 'Test');
+        await fs.writeFile(path.join(dir, 'a b.js'), 'one\ntwo\n');
+        await fs.writeFile(path.join(dir, 'über.js'), 'one\ntwo\n');
+        run('add', '.');
+        run('commit', '-q', '-m', 'initial');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('reports changed lines of files with spaces and non-ASCII names', async () => {
+        await fs.writeFile(path.join(dir, 'a b.js'), 'one\nchanged\n');
+        await fs.writeFile(path.join(dir, 'über.js'), 'new\none\ntwo\n');
+        await fs.writeFile(path.join(dir, 'new file ö.js'), 'x\n');
+
+        const changes = await getChangedLines({}, dir);
+        expect(changes.get(path.join(dir, 'a b.js'))).toEqual(new Set([2]));
+        expect(changes.get(path.join(dir, 'über.js'))).toEqual(new Set([1]));
+        expect(changes.get(path.join(dir, 'new file ö.js'))).toBeNull();
+        expect(isLineChanged(changes, path.join(dir, 'new file ö.js'), 1)).toBe(true);
+        expect(isLineChanged(changes, path.join(dir, 'a b.js'), 1)).toBe(false);
+    });
+
+    it('reports staged changes only with staged', async () => {
+        await fs.writeFile(path.join(dir, 'a b.js'), 'one\nstaged\n');
+        run('add', 'a b.js');
+        await fs.writeFile(path.join(dir, 'über.js'), 'one\nunstaged\n');
+
+        const changes = await getChangedLines({ staged: true }, dir);
+        expect([...changes.keys()]).toEqual([path.join(dir, 'a b.js')]);
+    });
+});
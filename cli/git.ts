@@ -0,0 +1,110 @@
+import { execFile } from 'child_process';
+import * as path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export interface GitDiffOptions {
+    since?: string;
+    staged?: boolean;
+}
+
+// Absolute path -> 1-based line numbers added or modified in that file; null for a whole new untracked file
+export type ChangedLines = Map<string, Set<number> | null>;
+
+async function git(args: string[], cwd: string): Promise<string> {
+    try {
+        const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+        return stdout;
+    } catch (error: any) {
+        throw new Error(`git ${args.join(' ')} failed: ${(error.stderr || error.message || '').trim()}`);
+    }
+}
+
+const C_ESCAPES: Record<string, number> = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+// Git C-quotes paths with special characters ("a\tb.js", "\303\274.js" for non-ASCII without
+// core.quotePath=false). Octal escapes are UTF-8 bytes.
+export function unquotePath(value: string): string {
+    if (!value.startsWith('"') || !value.endsWith('"')) return value;
+
+    const bytes: number[] = [];
+    const inner = value.slice(1, -1);
+    for (let i = 0; i < inner.length; i++) {
+        if (inner[i] !== '\\') {
+            bytes.push(...Buffer.from(inner[i], 'utf-8'));
+        } else if (/[0-7]{3}/.test(inner.slice(i + 1, i + 4))) {
+            bytes.push(parseInt(inner.slice(i + 1, i + 4), 8));
+            i += 3;
+        } else {
+            bytes.push(C_ESCAPES[inner[i + 1]] ?? inner.charCodeAt(i + 1));
+            i++;
+        }
+    }
+    return Buffer.from(bytes).toString('utf-8');
+}
+
+// Reads "+++ b/file" headers and "@@ -a,b +c,d @@" hunk ranges from a zero-context diff
+export function parseUnifiedDiff(diff: string, root: string): ChangedLines {
+    const changes: ChangedLines = new Map();
+    let current: Set<number> | null = null;
+
+    diff.split('\n').forEach(line => {
+        if (line.startsWith('+++ ')) {
+            // Names containing spaces are followed by a tab
+            const target = unquotePath(line.slice(4).replace(/\t$/, ''));
+            current = target === '/dev/null' ? null : new Set();
+            if (current) changes.set(path.resolve(root, target.replace(/^b\//, '')), current);
+            return;
+        }
+
+        const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+        if (hunk && current) {
+            const start = Number(hunk[1]);
+            const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+            for (let i = 0; i < count; i++) current.add(start + i);
+        }
+    });
+
+    return changes;
+}
+
+// Files and lines changed since a ref (compared against the merge base, working tree included)
+// or staged in the index
+export async function getChangedLines({ since, staged }: GitDiffOptions, cwd: string = process.cwd()): Promise<ChangedLines> {
+    const root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    // Unquoted UTF-8 paths; unquotePath handles what git still quotes
+    const args = ['-c', 'core.quotePath=false', 'diff', '--unified=0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR'];
+
+    if (staged) {
+        args.push('--cached');
+    } else if (since) {
+        const mergeBase = (await git(['merge-base', since, 'HEAD'], cwd)).trim();
+        args.push(mergeBase);
+    }
+
+    const changes = parseUnifiedDiff(await git(args, root), root);
+
+    // Files not yet added to git are new in their entirety
+    if (!staged) {
+        const untracked = await git(['ls-files', '-z', '--others', '--exclude-standard'], root);
+        untracked.split('\0').filter(Boolean).forEach(file => changes.set(path.resolve(root, file), null));
+    }
+
+    return changes;
+}
+
+export function isLineChanged(changes: ChangedLines, file: string, line: number): boolean {
+    if (!changes.has(file)) return false;
+    const lines = changes.get(file);
+    return lines === null || lines!.has(line);
+}
+
+// Short hash of HEAD, or null outside a git repository
+export async function getHeadCommit(cwd: string = process.cwd()): Promise<string | null> {
+    try {
+        return (await git(['rev-parse', '--short', 'HEAD'], cwd)).trim();
+    } catch {
+        return null;
+    }
+}
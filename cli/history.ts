@@ -0,0 +1,167 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+
+export const HISTORY_DIR = path.join('.baseline-copilot', 'history');
+
+export interface FileSummary {
+    issues: number;
+    riskScore: number;
+    compatibilityScore: number;
+    riskLevel: string;
+    features: Record<string, number>;
+}
+
+export interface RunSummary {
+    id: string;
+    createdAt: string;
+    commit: string | null;
+    dataVersion: string | null;
+    totals: {
+        files: number;
+        issues: number;
+        errors: number;
+        warnings: number;
+        guarded: number;
+        averageCompatibilityScore: number;
+        averageRiskScore: number;
+    };
+    features: Record<string, { name: string; count: number }>;
+    files: Record<string, FileSummary>;
+}
+
+export interface FeatureChange {
+    id: string;
+    name: string;
+    before: number;
+    after: number;
+}
+
+export interface RunDiff {
+    from: RunSummary;
+    to: RunSummary;
+    introduced: FeatureChange[];
+    removed: FeatureChange[];
+    changed: FeatureChange[];
+    scoreDelta: number;
+    issueDelta: number;
+    filesAdded: string[];
+    filesRemoved: string[];
+    fileScoreChanges: { file: string; before: number; after: number }[];
+}
+
+const average = (values: number[]) => values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 100;
+
+export function summarizeRun(results: { file: string; issues: any[]; summary: any; metadata?: any }[], { commit = null, createdAt = new Date() }: { commit?: string | null; createdAt?: Date } = {}): RunSummary {
+    const issues = results.flatMap(result => result.issues);
+    const features: RunSummary['features'] = {};
+    issues.forEach(issue => {
+        features[issue.id] = { name: issue.feature, count: (features[issue.id]?.count || 0) + 1 };
+    });
+
+    const files: RunSummary['files'] = {};
+    results.forEach(result => {
+        const fileFeatures: Record<string, number> = {};
+        result.issues.forEach(issue => {
+            fileFeatures[issue.id] = (fileFeatures[issue.id] || 0) + 1;
+        });
+        files[result.file.split(path.sep).join('/')] = {
+            issues: result.issues.length,
+            riskScore: result.summary.riskScore,
+            compatibilityScore: result.summary.compatibilityScore,
+            riskLevel: result.summary.riskLevel,
+            features: fileFeatures
+        };
+    });
+
+    return {
+        // Sortable and safe as a file name
+        id: createdAt.toISOString().replace(/[:.]/g, '-'),
+        createdAt: createdAt.toISOString(),
+        commit,
+        dataVersion: results[0]?.metadata?.dataVersion || null,
+        totals: {
+            files: results.length,
+            issues: issues.length,
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            guarded: issues.filter(issue => issue.guarded).length,
+            averageCompatibilityScore: average(results.map(result => result.summary.compatibilityScore)),
+            averageRiskScore: average(results.map(result => result.summary.riskScore))
+        },
+        features,
+        files
+    };
+}
+
+export async function saveRun(run: RunSummary, root: string = process.cwd()): Promise<string> {
+    const dir = path.join(root, HISTORY_DIR);
+    await fs.mkdir(dir, { recursive: true });
+    const filepath = path.join(dir, `${run.id}.json`);
+    await fs.writeFile(filepath, `${JSON.stringify(run, null, 2)}\n`);
+    return filepath;
+}
+
+// Oldest first
+export async function loadHistory(root: string = process.cwd()): Promise<RunSummary[]> {
+    let names: string[];
+    try {
+        names = await fs.readdir(path.join(root, HISTORY_DIR));
+    } catch {
+        return [];
+    }
+
+    const runs = await Promise.all(names
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(async name => JSON.parse(await fs.readFile(path.join(root, HISTORY_DIR, name), 'utf-8')) as RunSummary));
+    return runs;
+}
+
+// "latest", "previous", "latest~N", a run id or a unique id prefix, or a path to a run file
+export async function resolveRun(selector: string, history: RunSummary[]): Promise<RunSummary> {
+    const relative = selector.match(/^latest(?:~(\d+))?$/);
+    const offset = selector === 'previous' ? 1 : relative ? Number(relative[1] || 0) : null;
+    if (offset !== null) {
+        const run = history[history.length - 1 - offset];
+        if (!run) throw new Error(`History has ${history.length} runs; "${selector}" does not exist`);
+        return run;
+    }
+
+    const matches = history.filter(run => run.id.startsWith(selector));
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) throw new Error(`"${selector}" matches ${matches.length} runs; use a longer id`);
+
+    try {
+        return JSON.parse(await fs.readFile(selector, 'utf-8'));
+    } catch {
+        throw new Error(`No run "${selector}" in ${HISTORY_DIR}. Use a run id, "latest", "previous" or "latest~N"`);
+    }
+}
+
+export function diffRuns(from: RunSummary, to: RunSummary): RunDiff {
+    const ids = [...new Set([...Object.keys(from.features), ...Object.keys(to.features)])].sort();
+    const changes = ids.map(id => ({
+        id,
+        name: (to.features[id] || from.features[id]).name,
+        before: from.features[id]?.count || 0,
+        after: to.features[id]?.count || 0
+    }));
+
+    const fromFiles = Object.keys(from.files);
+    const toFiles = Object.keys(to.files);
+
+    return {
+        from,
+        to,
+        introduced: changes.filter(change => change.before === 0 && change.after > 0),
+        removed: changes.filter(change => change.before > 0 && change.after === 0),
+        changed: changes.filter(change => change.before > 0 && change.after > 0 && change.before !== change.after),
+        scoreDelta: to.totals.averageCompatibilityScore - from.totals.averageCompatibilityScore,
+        issueDelta: to.totals.issues - from.totals.issues,
+        filesAdded: toFiles.filter(file => !from.files[file]),
+        filesRemoved: fromFiles.filter(file => !to.files[file]),
+        fileScoreChanges: toFiles
+            .filter(file => from.files[file] && from.files[file].compatibilityScore !== to.files[file].compatibilityScore)
+            .map(file => ({ file, before: from.files[file].compatibilityScore, after: to.files[file].compatibilityScore }))
+    };
+}
@@ -7,13 +7,38 @@ import { table } from 'table';
 import inquirer from 'inquirer';
 import * as fs from 'fs/promises';
 import * as path from 'path';
+import { pathToFileURL } from 'url';
 import { glob } from 'glob';
 import { EnhancedBaselineAnalyzer } from './analyzer';
+import { formatUnsupported } from '../src/targets/index.js';
+import { findBrowserslistConfig } from '../src/targets/browserslist.js';
+import { generateHtmlReport } from '../src/reports/html.js';
+import { applyFixes, isFixableLanguage, needsFix } from '../src/fixes/index.js';
+import { createUnifiedDiff } from '../src/fixes/diff.js';
+import { generatePolyfillEntry, planPolyfills } from '../src/polyfills/index.js';
+import { DEFAULT_CONFIG, loadConfig } from './config';
+import { ChangedLines, getChangedLines, getHeadCommit, isLineChanged } from './git';
+import { startLanguageServer } from './lsp';
+import { HISTORY_DIR, RunDiff, RunSummary, diffRuns, loadHistory, resolveRun, saveRun, summarizeRun } from './history';
+import { SNAPSHOT_FILE, SnapshotFinding, compareWithSnapshot, createSnapshot, fingerprint, readSnapshot, writeSnapshot } from './snapshot';
 
 interface CLIOptions {
     output?: string;
-    format?: 'table' | 'json' | 'markdown' | 'junit';
+    format?: 'table' | 'json' | 'markdown' | 'junit' | 'sarif' | 'compact' | 'github' | 'html';
     target?: string[];
+    browserslist?: string;
+    baseline?: string;
+    asOf?: string;
+    rules?: Record<string, string>;
+    updateSnapshot?: boolean;
+    history?: boolean;
+    dryRun?: boolean;
+    diff?: boolean;
+    yes?: boolean;
+    write?: string | boolean;
+    since?: string;
+    staged?: boolean;
+    changedLines?: boolean;
     risk?: 'low' | 'medium' | 'high';
     exclude?: string[];
     include?: string[];
@@ -24,11 +49,17 @@ interface CLIOptions {
     threshold?: number;
 }
 
+// Options after merging CLI flags, configuration file and defaults
+type ResolvedCLIOptions = CLIOptions & Required<Pick<CLIOptions, 'include' | 'exclude' | 'threshold' | 'format'>>;
+
 interface AnalysisResult {
     file: string;
     issues: any[];
     summary: any;
     performance: any;
+    metadata?: any;
+    unusedSuppressions?: any[];
+    suppressed?: any[];
 }
 
 class BaselineCopilotCLI {
@@ -47,29 +78,42 @@ class BaselineCopilotCLI {
             .description('Browser compatibility analysis tool using Baseline data')
             .version('1.0.0')
             .option('-o, --output <file>', 'output file for results')
-            .option('-f, --format <format>', 'output format (table, json, markdown, junit)', 'table')
-            .option('-t, --target <browsers...>', 'target browsers', ['chrome', 'firefox', 'safari', 'edge'])
-            .option('-r, --risk <level>', 'acceptable risk level', 'medium')
-            .option('-e, --exclude <patterns...>', 'exclude file patterns', ['node_modules/**', 'dist/**'])
-            .option('-i, --include <patterns...>', 'include file patterns', ['**/*.{js,ts,jsx,tsx,css,html}'])
+            .option('-f, --format <format>', 'output format (table, json, markdown, junit, sarif, compact, github, html) (default: "table")')
+            .option('-t, --target <browsers...>', 'target browsers, e.g. "safari >= 15" "chrome last 2 versions" "firefox ESR"')
+            .option('-b, --browserslist <query>', 'browserslist query, e.g. "defaults, not dead" (default: package.json or .browserslistrc)')
+            .option('--baseline <target>', 'Baseline target: a year (e.g. 2023), "widely" or "newly"')
+            .option('--as-of <date>', 'judge Baseline status as of a fixed date (YYYY-MM-DD) instead of today')
+            .option('-r, --risk <level>', 'acceptable risk level (default: "medium")')
+            .option('-e, --exclude <patterns...>', 'exclude file patterns (default: node_modules/** dist/**)')
+            .option('-i, --include <patterns...>', 'include file patterns (default: **/*.{js,ts,jsx,tsx,css,html})')
             .option('-w, --watch', 'watch for file changes')
             .option('--fix', 'automatically apply fixes where possible')
             .option('--interactive', 'interactive mode')
             .option('--ci', 'CI mode - fail on threshold exceeded')
-            .option('--threshold <number>', 'fail threshold for CI mode', '10');
+            .option('--threshold <number>', 'fail threshold for CI mode (default: 10)', (value: string) => Number(value));
 
         // Main analyze command
         this.program
             .command('analyze [files...]')
             .description('analyze files for browser compatibility issues')
-            .action((files, options) => this.analyzeCommand(files, { ...this.program.opts(), ...options }));
+            .option('--since <ref>', 'only analyze files changed since a git ref (e.g. origin/main)')
+            .option('--staged', 'only analyze files staged in git')
+            .option('--changed-lines', 'with --since or --staged, only report findings on changed lines')
+            .action(async (files, options) => this.analyzeCommand(files, await this.resolveOptions({ ...this.program.opts(), ...options })));
 
         // Report command
         this.program
             .command('report')
             .description('generate detailed compatibility report')
             .option('-t, --template <template>', 'report template', 'default')
-            .action((options) => this.reportCommand({ ...this.program.opts(), ...options }));
+            .option('--no-history', `do not record this run in ${HISTORY_DIR}`)
+            .action(async (options) => this.reportCommand(await this.resolveOptions({ ...this.program.opts(), ...options })));
+
+        // Compare two recorded report runs
+        this.program
+            .command('diff <runA> <runB>')
+            .description(`compare two runs recorded in ${HISTORY_DIR} (run id, "latest", "previous" or "latest~N")`)
+            .action(async (runA, runB, options) => this.diffCommand(runA, runB, await this.resolveOptions({ ...this.program.opts(), ...options })));
 
         // Init command
         this.program
@@ -81,19 +125,44 @@ class BaselineCopilotCLI {
         this.program
             .command('check')
             .description('check compatibility and exit with status code')
-            .action((options) => this.checkCommand({ ...this.program.opts(), ...options }));
+            .option('--update-snapshot', `record current findings in ${SNAPSHOT_FILE}; later checks only fail on new findings`)
+            .option('--since <ref>', 'only check files changed since a git ref (e.g. origin/main)')
+            .option('--staged', 'only check files staged in git')
+            .option('--changed-lines', 'with --since or --staged, only report findings on changed lines')
+            .action(async (options) => this.checkCommand(await this.resolveOptions({ ...this.program.opts(), ...options })));
 
         // Fix command
         this.program
             .command('fix [files...]')
-            .description('automatically fix compatibility issues where possible')
-            .action((files, options) => this.fixCommand(files, { ...this.program.opts(), ...options }));
+            .description('rewrite features the configured targets do not support, where a codemod exists')
+            .option('--dry-run', 'show the fixes as a unified diff without modifying files')
+            .option('--diff', 'print a unified diff of the fixes')
+            .option('-y, --yes', 'apply fixes without asking for confirmation')
+            .action(async (files, options) => this.fixCommand(files, await this.resolveOptions({ ...this.program.opts(), ...options })));
+
+        // Polyfill planning
+        this.program
+            .command('polyfills [files...]')
+            .description('list the polyfills the configured targets need and how to install them')
+            .option('--write [file]', 'generate an entry that loads each polyfill behind feature detection (default: polyfills.js)')
+            .action(async (files, options) => this.polyfillsCommand(files, await this.resolveOptions({ ...this.program.opts(), ...options })));
+
+        // Language server for editors other than VS Code
+        this.program
+            .command('lsp')
+            .description('start a Language Server Protocol server for editor integration')
+            .option('--stdio', 'communicate over stdin/stdout (the default and only transport)')
+            .action(async (options) => {
+                // stdout belongs to the protocol from here on, including the analyzer's data loading messages
+                console.log = console.error;
+                this.lspCommand(await this.resolveOptions({ ...this.program.opts(), ...options }));
+            });
 
         // Watch command
         this.program
             .command('watch [files...]')
             .description('watch files for changes and analyze continuously')
-            .action((files, options) => this.watchCommand(files, { ...this.program.opts(), ...options }));
+            .action(async (files, options) => this.watchCommand(files, await this.resolveOptions({ ...this.program.opts(), ...options })));
 
         // Community commands
         this.program
@@ -111,15 +180,75 @@ class BaselineCopilotCLI {
         await this.program.parseAsync();
     }
 
-    private async analyzeCommand(files: string[], options: CLIOptions) {
+    // Precedence: CLI flags > .baselinerc.json / package.json "baselineCopilot" / baseline.config.js > defaults
+    private async resolveOptions(flags: CLIOptions): Promise<ResolvedCLIOptions> {
+        const loaded = await loadConfig(process.cwd());
+        const config = { ...DEFAULT_CONFIG, ...loaded?.config };
+
+        const fromConfig: CLIOptions = {
+            target: config.browsers,
+            browserslist: Array.isArray(config.browserslist) ? config.browserslist.join(', ') : config.browserslist,
+            baseline: config.baseline,
+            asOf: config.asOf,
+            risk: config.riskTolerance,
+            include: config.include,
+            exclude: config.exclude,
+            threshold: config.threshold,
+            fix: config.autoFix,
+            format: config.format,
+            output: config.output,
+            rules: config.rules
+        };
+        const fromFlags = Object.fromEntries(
+            Object.entries(flags).filter(([, value]) => value !== undefined)
+        ) as CLIOptions;
+
+        // Targets given on the command line replace the configured ones entirely
+        if (fromFlags.target || fromFlags.browserslist) {
+            delete fromConfig.target;
+            delete fromConfig.browserslist;
+        }
+
+        return { ...fromConfig, ...fromFlags } as ResolvedCLIOptions;
+    }
+
+    // --browserslist wins over --target; without either the project's browserslist config applies if it has one
+    private configureAnalyzer(options: CLIOptions) {
+        if (options.browserslist) {
+            this.analyzer.setBrowserslist(options.browserslist);
+        } else if (options.target) {
+            this.analyzer.setTargets(options.target);
+        } else if (findBrowserslistConfig(process.cwd())) {
+            this.analyzer.setBrowserslist(undefined, { path: process.cwd() });
+        }
+
+        if (options.baseline || options.asOf) {
+            this.analyzer.setBaselineTarget(options.baseline, { asOf: options.asOf });
+        }
+
+        this.analyzer.setRules(options.rules);
+        this.analyzer.setRiskTolerance(options.risk);
+    }
+
+    private describeBaselineTarget(): string {
+        const baselineTarget = this.analyzer.getBaselineTarget();
+        if (!baselineTarget) return '';
+        const target = baselineTarget.target ? `Baseline ${baselineTarget.target}` : 'Baseline status';
+        return `${target} as of ${baselineTarget.asOf}`;
+    }
+
+    private async analyzeCommand(files: string[], options: ResolvedCLIOptions) {
         const spinner = ora('Initializing Baseline Copilot...').start();
 
         try {
+            this.configureAnalyzer(options);
+
             // Resolve file patterns
-            const filePatterns = files.length > 0 ? files : options.include || ['**/*.{js,ts,jsx,tsx,css,html}'];
-            const excludePatterns = options.exclude || ['node_modules/**', 'dist/**'];
+            const filePatterns = files.length > 0 ? files : options.include;
+            const excludePatterns = options.exclude;
             
-            const filesToAnalyze = await this.resolveFiles(filePatterns, excludePatterns);
+            const changes = await this.getGitChanges(options);
+            const filesToAnalyze = this.filterChangedFiles(await this.resolveFiles(filePatterns, excludePatterns), changes);
             
             if (filesToAnalyze.length === 0) {
                 spinner.fail('No files found to analyze');
@@ -133,14 +262,16 @@ class BaselineCopilotCLI {
 
             for (const file of filesToAnalyze) {
                 try {
-                    const content = await fs.readFile(file, 'utf-8');
-                    const analysis = await this.analyzer.analyzeCode(content, this.getLanguageFromFile(file));
+                    const analysis = await this.analyzeFile(file, options.changedLines ? changes : null);
                     
                     results.push({
                         file: path.relative(process.cwd(), file),
                         issues: analysis.issues,
                         summary: analysis.summary,
-                        performance: analysis.summary.performanceImpact
+                        performance: analysis.summary.performanceImpact,
+                        metadata: analysis.metadata,
+                        unusedSuppressions: analysis.unusedSuppressions,
+                        suppressed: analysis.suppressed
                     });
 
                     processedFiles++;
@@ -161,10 +292,16 @@ class BaselineCopilotCLI {
 
             console.log(chalk.bold('\n📊 Analysis Summary:'));
             console.log(`Files analyzed: ${processedFiles}`);
-            console.log(`Total issues: ${totalIssues}`);
+            const guardedIssues = results.reduce((sum, result) => sum + result.issues.filter(issue => issue.guarded).length, 0);
+            console.log(`Total issues: ${totalIssues} (${totalIssues - guardedIssues} unguarded, ${guardedIssues} guarded)`);
             console.log(`High risk files: ${highRiskFiles}`);
+            this.reportUnusedSuppressions(results);
 
-            if (options.ci && totalIssues > (options.threshold || 10)) {
+            if (options.fix) {
+                await this.fixCommand(filesToAnalyze, options);
+            }
+
+            if (options.ci && totalIssues > options.threshold) {
                 console.log(chalk.red(`❌ CI check failed: ${totalIssues} issues exceed threshold of ${options.threshold}`));
                 process.exit(1);
             }
@@ -175,8 +312,16 @@ class BaselineCopilotCLI {
         }
     }
 
-    private async outputResults(results: AnalysisResult[], options: CLIOptions) {
-        const output = await this.formatResults(results, options.format || 'table');
+    private reportUnusedSuppressions(results: AnalysisResult[]) {
+        results.forEach(result => {
+            (result.unusedSuppressions || []).forEach(directive => {
+                console.log(chalk.yellow(`⚠️ ${result.file}:${directive.line}:${directive.column} ${directive.message}`));
+            });
+        });
+    }
+
+    private async outputResults(results: AnalysisResult[], options: ResolvedCLIOptions) {
+        const output = await this.formatResults(results, options.format);
 
         if (options.output) {
             await fs.writeFile(options.output, output);
@@ -197,6 +342,18 @@ class BaselineCopilotCLI {
             case 'junit':
                 return this.formatJUnit(results);
                 
+            case 'sarif':
+                return this.formatSarif(results);
+                
+            case 'compact':
+                return this.formatCompact(results);
+                
+            case 'github':
+                return this.formatGitHub(results);
+                
+            case 'html':
+                return generateHtmlReport(results, { subtitle: this.describeBaselineTarget() });
+                
             case 'table':
             default:
                 return this.formatTable(results);
@@ -233,7 +390,7 @@ class BaselineCopilotCLI {
         const date = new Date().toLocaleDateString();
         let markdown = `# Browser Compatibility Analysis Report
 
-Generated on ${date}
+Generated on ${date}${this.describeBaselineTarget() ? `\n\nTarget: ${this.describeBaselineTarget()}` : ''}
 
 ## Summary
 
@@ -251,8 +408,11 @@ Generated on ${date}
             if (result.issues.length > 0) {
                 markdown += `### ${result.file}\n\n`;
                 result.issues.forEach(issue => {
-                    markdown += `- **${issue.feature}** (Line ${issue.line}): ${issue.status}\n`;
+                    markdown += `- **${issue.feature}** (Line ${issue.line}): ${issue.status}${issue.guarded ? ' (guarded)' : ''}\n`;
                     markdown += `  - Browser support: ${Object.entries(issue.browsers).map(([browser, version]) => `${browser} ${version}`).join(', ')}\n`;
+                    if (issue.unsupportedBrowsers?.length > 0) {
+                        markdown += `  - Not supported by targets: ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}\n`;
+                    }
                     if (issue.fallback) {
                         markdown += `  - Fallback: ${issue.fallback}\n`;
                     }
@@ -283,7 +443,7 @@ Generated on ${date}
             if (hasErrors) {
                 junit += `
       <error message="Compatibility errors found">
-${result.issues.filter(i => i.severity === 'error').map(i => `        ${i.feature}: ${i.status}`).join('\n')}
+${result.issues.filter(i => i.severity === 'error').map(i => `        ${i.feature}: ${i.status}${i.unsupportedBrowsers?.length ? ` (unsupported: ${i.unsupportedBrowsers.map(formatUnsupported).join(', ')})` : ''}`).join('\n')}
       </error>`;
             }
 
@@ -307,6 +467,164 @@ ${result.issues.filter(i => i.severity === 'error').map(i => `        ${i.featur
         return junit;
     }
 
+    private describeIssue(issue: any): string {
+        const unsupported = issue.unsupportedBrowsers?.length ? `; not supported by ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}` : '';
+        return `${issue.feature} is ${issue.status.replace('-', ' ')}${issue.guarded ? ' (guarded)' : ''}${unsupported}`;
+    }
+
+    // One "file:line:col: severity message baseline-copilot" line per issue, as the VS Code problem matcher expects
+    private formatCompact(results: AnalysisResult[]): string {
+        return results
+            .flatMap(result => result.issues.map(issue =>
+                `${result.file}:${issue.line}:${issue.column}: ${issue.severity} ${this.describeIssue(issue)} [${issue.id}] baseline-copilot`
+            ))
+            .join('\n');
+    }
+
+    // GitHub Actions workflow commands, shown as annotations on the PR diff
+    private formatGitHub(results: AnalysisResult[]): string {
+        const commands: Record<string, string> = { error: 'error', warning: 'warning', info: 'notice' };
+        const escapeData = (value: string) => value.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+        const escapeProperty = (value: string) => escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+        return results
+            .flatMap(result => result.issues.map(issue => {
+                const properties = [
+                    `file=${escapeProperty(result.file.split(path.sep).join('/'))}`,
+                    `line=${issue.line}`,
+                    `col=${issue.column}`,
+                    `endLine=${issue.endLine ?? issue.line}`,
+                    `endColumn=${issue.endColumn ?? issue.column}`,
+                    `title=${escapeProperty(`Baseline: ${issue.feature}`)}`
+                ].join(',');
+                return `::${commands[issue.severity] || 'notice'} ${properties}::${escapeData(`${this.describeIssue(issue)} [${issue.id}]`)}`;
+            }))
+            .join('\n');
+    }
+
+    private formatSarif(results: AnalysisResult[]): string {
+        const levels: Record<string, string> = { error: 'error', warning: 'warning', info: 'note' };
+        const rules: any[] = [];
+        const ruleIndex = new Map<string, number>();
+        // Findings on identical lines share a fingerprint; the occurrence in source order tells them apart
+        const fingerprints = new Map<any, string>();
+        results.forEach(result => {
+            const seen = new Map<string, number>();
+            [...result.issues, ...(result.suppressed || [])]
+                .sort((a, b) => a.start - b.start)
+                .forEach(issue => {
+                    const key = fingerprint(result.file, issue);
+                    const occurrence = seen.get(key) || 0;
+                    seen.set(key, occurrence + 1);
+                    fingerprints.set(issue, `${key}:${occurrence}`);
+                });
+        });
+
+        const toResult = (file: string, issue: any, suppressed: boolean) => {
+            if (!ruleIndex.has(issue.id)) {
+                ruleIndex.set(issue.id, rules.length);
+                rules.push({
+                    id: issue.id,
+                    name: issue.feature,
+                    shortDescription: { text: issue.feature },
+                    fullDescription: { text: issue.description || issue.feature },
+                    helpUri: issue.mdn,
+                    help: { text: issue.fallback ? `Fallback: ${issue.fallback}` : `See ${issue.mdn}` },
+                    properties: {
+                        baselineStatus: issue.status,
+                        baselineLowDate: issue.baseline || null,
+                        baselineHighDate: issue.baselineHigh || null,
+                        group: issue.group || null,
+                        spec: issue.spec || null,
+                        tags: ['compatibility', 'baseline', issue.group].filter(Boolean)
+                    }
+                });
+            }
+
+            const uri = file.split(path.sep).join('/');
+            return {
+                ruleId: issue.id,
+                ruleIndex: ruleIndex.get(issue.id),
+                level: levels[issue.severity] || 'note',
+                message: { text: this.describeIssue(issue) },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+                        region: {
+                            startLine: issue.line,
+                            startColumn: issue.column,
+                            endLine: issue.endLine ?? issue.line,
+                            endColumn: issue.endColumn ?? issue.column + issue.matchedText.length,
+                            snippet: { text: issue.matchedText }
+                        }
+                    }
+                }],
+                // Same hash as the snapshot file, so it survives unrelated edits that move lines
+                partialFingerprints: { 'baselineCopilot/v1': fingerprints.get(issue) },
+                ...(suppressed ? { suppressions: [{ kind: 'inSource' }] } : {}),
+                properties: {
+                    guarded: Boolean(issue.guarded),
+                    targetStatus: issue.targetStatus || null,
+                    unsupportedBrowsers: issue.unsupportedBrowsers || []
+                }
+            };
+        };
+
+        const sarifResults = results.flatMap(result => [
+            ...result.issues.map(issue => toResult(result.file, issue, false)),
+            ...(result.suppressed || []).map(issue => toResult(result.file, issue, true))
+        ]);
+
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'Baseline Copilot',
+                        version: '1.0.0',
+                        informationUri: 'https://web-platform-dx.github.io/web-features/',
+                        rules
+                    }
+                },
+                originalUriBaseIds: {
+                    '%SRCROOT%': { uri: `${pathToFileURL(process.cwd()).href}/` }
+                },
+                results: sarifResults,
+                properties: {
+                    dataVersion: results[0]?.metadata?.dataVersion || null,
+                    baselineTarget: results[0]?.metadata?.baselineTarget || null
+                }
+            }]
+        }, null, 2);
+    }
+
+    private async getGitChanges(options: ResolvedCLIOptions): Promise<ChangedLines | null> {
+        if (!options.since && !options.staged) {
+            if (options.changedLines) throw new Error('--changed-lines requires --since <ref> or --staged');
+            return null;
+        }
+        return getChangedLines({ since: options.since, staged: options.staged });
+    }
+
+    private filterChangedFiles(files: string[], changes: ChangedLines | null): string[] {
+        return changes ? files.filter(file => changes.has(path.resolve(file))) : files;
+    }
+
+    // Analyzes one file; with changed lines, findings elsewhere in the file are dropped before scoring
+    private async analyzeFile(file: string, changes: ChangedLines | null) {
+        const content = await fs.readFile(file, 'utf-8');
+        const analysis = await this.analyzer.analyzeCode(content, this.getLanguageFromFile(file));
+        if (!changes) return analysis;
+
+        const absolutePath = path.resolve(file);
+        const inChanges = (item: any) => isLineChanged(changes, absolutePath, item.line);
+        return this.analyzer.enrichResults(analysis.issues.filter(inChanges), content, {
+            suppressed: analysis.suppressed.filter(inChanges),
+            unusedSuppressions: analysis.unusedSuppressions.filter(inChanges)
+        });
+    }
+
     private async resolveFiles(patterns: string[], excludePatterns: string[]): Promise<string[]> {
         const allFiles: string[] = [];
 
@@ -338,14 +656,16 @@ ${result.issues.filter(i => i.severity === 'error').map(i => `        ${i.featur
         return languageMap[ext] || 'javascript';
     }
 
-    private async reportCommand(options: CLIOptions) {
+    private async reportCommand(options: ResolvedCLIOptions) {
         const spinner = ora('Generating detailed report...').start();
 
         try {
+            this.configureAnalyzer(options);
+
             // First analyze all files
             const files = await this.resolveFiles(
-                options.include || ['**/*.{js,ts,jsx,tsx,css,html}'],
-                options.exclude || ['node_modules/**', 'dist/**']
+                options.include,
+                options.exclude
             );
 
             const results: AnalysisResult[] = [];
@@ -357,13 +677,24 @@ ${result.issues.filter(i => i.severity === 'error').map(i => `        ${i.featur
                     file: path.relative(process.cwd(), file),
                     issues: analysis.issues,
                     summary: analysis.summary,
-                    performance: analysis.summary.performanceImpact
+                    performance: analysis.summary.performanceImpact,
+                    metadata: analysis.metadata
                 });
             }
 
-            // Generate comprehensive report
-            const report = await this.generateDetailedReport(results);
-            const outputFile = options.output || `baseline-report-${Date.now()}.md`;
+            // Record the run so later reports can show trends and runs can be diffed
+            const history = await loadHistory();
+            const run = summarizeRun(results, { commit: await getHeadCommit() });
+            if (options.history !== false) {
+                await saveRun(run);
+            }
+
+            // Generate comprehensive report; HTML is a self-contained page, everything else Markdown
+            const isHtml = options.format === 'html';
+            const report = isHtml
+                ? generateHtmlReport(results, { title: 'Comprehensive Browser Compatibility Report', subtitle: this.describeBaselineTarget() })
+                : await this.generateDetailedReport(results, [...history, run]);
+            const outputFile = options.output || `baseline-report-${Date.now()}.${isHtml ? 'html' : 'md'}`;
             
             await fs.writeFile(outputFile, report);
             spinner.succeed(`Detailed report generated: ${outputFile}`);
@@ -382,13 +713,14 @@ ${result.issues.filter(i => i.severity === 'error').map(i => `        ${i.featur
         }
     }
 
-    private async generateDetailedReport(results: AnalysisResult[]): Promise<string> {
+    private async generateDetailedReport(results: AnalysisResult[], history: RunSummary[] = []): Promise<string> {
         const date = new Date().toLocaleDateString();
         const time = new Date().toLocaleTimeString();
 
         // Aggregate statistics
         const totalFiles = results.length;
         const totalIssues = results.reduce((sum, r) => sum + r.issues.length, 0);
+        const guardedIssues = results.reduce((sum, r) => sum + r.issues.filter(i => i.guarded).length, 0);
         const avgScore = Math.round(results.reduce((sum, r) => sum + r.summary.compatibilityScore, 0) / results.length);
         
         // Risk distribution
@@ -411,11 +743,12 @@ ${result.issues.filter(i => i.severity === 'error').map(i => `        ${i.featur
         return `# Comprehensive Browser Compatibility Report
 
 *Generated by Baseline Copilot CLI on ${date} at ${time}*
-
+${this.describeBaselineTarget() ? `\n**Target**: ${this.describeBaselineTarget()}\n` : ''}
 ## Executive Summary
 
 - **Files Analyzed**: ${totalFiles}
 - **Total Compatibility Issues**: ${totalIssues}
+- **Unguarded / Guarded by Feature Detection**: ${totalIssues - guardedIssues} / ${guardedIssues}
 - **Average Compatibility Score**: ${avgScore}/100
 - **Overall Risk Assessment**: ${this.getOverallRisk(riskDistribution)}
 
@@ -433,6 +766,10 @@ ${topIssues.map(([feature, count], index) =>
     `${index + 1}. **${feature}** - ${count} occurrence${count > 1 ? 's' : ''}`
 ).join('\n')}
 
+## Trend
+
+${this.generateTrendSection(history)}
+
 ## Performance Impact Analysis
 
 ${this.generatePerformanceSection(results)}
@@ -450,6 +787,27 @@ ${this.generateRecommendations(results)}
 `;
     }
 
+    // Recent runs plus what changed since the previous one; the last entry is the current run
+    private generateTrendSection(history: RunSummary[]): string {
+        if (history.length < 2) {
+            return `No earlier runs recorded in ${HISTORY_DIR} yet; future reports will show trends here.`;
+        }
+
+        const recent = history.slice(-10);
+        const diff = diffRuns(history[history.length - 2], history[history.length - 1]);
+        const delta = (value: number) => value > 0 ? `+${value}` : `${value}`;
+
+        return `| Run | Commit | Files | Issues | Avg. Compatibility | Avg. Risk |
+|-----|--------|-------|--------|--------------------|-----------|
+${recent.map(run => `| ${run.createdAt.replace('T', ' ').slice(0, 16)} | ${run.commit || '-'} | ${run.totals.files} | ${run.totals.issues} | ${run.totals.averageCompatibilityScore}/100 | ${run.totals.averageRiskScore} |`).join('\n')}
+
+### Since the Previous Run
+- **Average Compatibility Score**: ${diff.from.totals.averageCompatibilityScore} → ${diff.to.totals.averageCompatibilityScore} (${delta(diff.scoreDelta)})
+- **Total Issues**: ${diff.from.totals.issues} → ${diff.to.totals.issues} (${delta(diff.issueDelta)})
+- **Features Introduced**: ${diff.introduced.length > 0 ? diff.introduced.map(f => `${f.name} (${f.after})`).join(', ') : 'none'}
+- **Features Removed**: ${diff.removed.length > 0 ? diff.removed.map(f => `${f.name} (${f.before})`).join(', ') : 'none'}`;
+    }
+
     private getOverallRisk(distribution: Record<string, number>): string {
         const high = distribution.high || 0;
         const medium = distribution.medium || 0;
@@ -492,9 +850,10 @@ ${performanceImpacts.map(p => `- ${p.recommendation}`).join('\n')}`;
 **Issues Found**: ${result.issues.length}
 
 ${result.issues.map(issue => `
-#### ${issue.feature} (Line ${issue.line})
+#### ${issue.feature} (Line ${issue.line})${issue.guarded ? ' - guarded' : ''}
 - **Status**: ${issue.status.replace('-', ' ')}
 - **Browser Support**: ${Object.entries(issue.browsers).map(([browser, version]) => `${browser} ${version}`).join(', ')}
+${issue.unsupportedBrowsers?.length ? `- **Unsupported Targets**: ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}` : ''}
 ${issue.fallback ? `- **Fallback**: ${issue.fallback}` : ''}
 ${issue.polyfill ? `- **Polyfill**: \`${issue.polyfill}\`` : ''}
 - **More Info**: [MDN Documentation](${issue.mdn})
@@ -595,29 +954,127 @@ ${issue.polyfill ? `- **Polyfill**: \`${issue.polyfill}\`` : ''}
         console.log(chalk.blue('\n🚀 You can now run: baseline-copilot analyze'));
     }
 
-    private async checkCommand(options: CLIOptions) {
-        // CI-friendly version that exits with appropriate codes
+    private async diffCommand(runA: string, runB: string, options: ResolvedCLIOptions) {
         try {
-            const files = await this.resolveFiles(
-                options.include || ['**/*.{js,ts,jsx,tsx,css,html}'],
-                options.exclude || ['node_modules/**', 'dist/**']
+            const history = await loadHistory();
+            const diff = diffRuns(await resolveRun(runA, history), await resolveRun(runB, history));
+
+            if (options.format === 'json') {
+                const { from, to, ...changes } = diff;
+                const output = JSON.stringify({ from: from.id, to: to.id, ...changes }, null, 2);
+                if (options.output) {
+                    await fs.writeFile(options.output, output);
+                    console.log(chalk.green(`Diff saved to ${options.output}`));
+                } else {
+                    console.log(output);
+                }
+                return;
+            }
+
+            this.printRunDiff(diff);
+        } catch (error) {
+            console.error(chalk.red(`Diff failed: ${error instanceof Error ? error.message : error}`));
+            process.exit(1);
+        }
+    }
+
+    private printRunDiff(diff: RunDiff) {
+        const describeRun = (run: RunSummary) => `${run.id}${run.commit ? ` (${run.commit})` : ''}`;
+        const delta = (value: number, higherIsBetter: boolean) => {
+            const text = value > 0 ? `+${value}` : `${value}`;
+            if (value === 0) return chalk.gray(text);
+            return (value > 0) === higherIsBetter ? chalk.green(text) : chalk.red(text);
+        };
+
+        console.log(chalk.bold(`\n📊 ${describeRun(diff.from)} → ${describeRun(diff.to)}\n`));
+        console.log(`Average compatibility score: ${diff.from.totals.averageCompatibilityScore} → ${diff.to.totals.averageCompatibilityScore} (${delta(diff.scoreDelta, true)})`);
+        console.log(`Total issues: ${diff.from.totals.issues} → ${diff.to.totals.issues} (${delta(diff.issueDelta, false)})`);
+
+        if (diff.introduced.length > 0) {
+            console.log(chalk.red.bold('\nFeatures introduced:'));
+            diff.introduced.forEach(f => console.log(chalk.red(`  + ${f.name} [${f.id}] (${f.after})`)));
+        }
+        if (diff.removed.length > 0) {
+            console.log(chalk.green.bold('\nFeatures removed:'));
+            diff.removed.forEach(f => console.log(chalk.green(`  - ${f.name} [${f.id}] (${f.before})`)));
+        }
+        if (diff.changed.length > 0) {
+            console.log(chalk.bold('\nFeature usage changed:'));
+            diff.changed.forEach(f => console.log(`  ~ ${f.name} [${f.id}]: ${f.before} → ${f.after}`));
+        }
+        if (diff.filesAdded.length > 0 || diff.filesRemoved.length > 0) {
+            console.log(chalk.bold('\nFiles:'));
+            diff.filesAdded.forEach(file => console.log(`  + ${file}`));
+            diff.filesRemoved.forEach(file => console.log(`  - ${file}`));
+        }
+        if (diff.fileScoreChanges.length > 0) {
+            console.log(chalk.bold('\nCompatibility score by file:'));
+            diff.fileScoreChanges.forEach(change =>
+                console.log(`  ${change.file}: ${change.before} → ${change.after} (${delta(change.after - change.before, true)})`)
             );
+        }
+        if (diff.introduced.length + diff.removed.length + diff.changed.length === 0) {
+            console.log(chalk.gray('\nNo feature usage changes between these runs.'));
+        }
+    }
 
-            let totalIssues = 0;
-            let errorCount = 0;
+    private async checkCommand(options: ResolvedCLIOptions) {
+        // CI-friendly version that exits with appropriate codes
+        try {
+            this.configureAnalyzer(options);
 
-            for (const file of files) {
-                const content = await fs.readFile(file, 'utf-8');
-                const analysis = await this.analyzer.analyzeCode(content, this.getLanguageFromFile(file));
-                
-                totalIssues += analysis.issues.length;
-                errorCount += analysis.issues.filter(i => i.severity === 'error').length;
+            const changes = await this.getGitChanges(options);
+            if (changes && options.updateSnapshot) {
+                throw new Error('--update-snapshot records the whole project and cannot be combined with --since or --staged');
             }
+            const files = this.filterChangedFiles(await this.resolveFiles(
+                options.include,
+                options.exclude
+            ), changes);
+
+            const findings: SnapshotFinding[] = [];
 
-            const threshold = options.threshold || 10;
+            for (const file of files) {
+                const analysis = await this.analyzeFile(file, options.changedLines ? changes : null);
+                const relativePath = path.relative(process.cwd(), file);
+
+                analysis.issues.forEach(issue => findings.push({ file: relativePath, issue }));
+                this.reportUnusedSuppressions([{ file: relativePath, ...analysis }]);
+            }
 
             console.log(`Analyzed ${files.length} files`);
-            console.log(`Found ${totalIssues} compatibility issues (${errorCount} errors)`);
+
+            if (options.updateSnapshot) {
+                await writeSnapshot(createSnapshot(findings));
+                console.log(chalk.green(`✅ Snapshot written to ${SNAPSHOT_FILE} with ${findings.length} existing findings`));
+                process.exit(0);
+            }
+
+            // With a snapshot only findings that are not recorded in it count against the check
+            let checkedFindings = findings;
+            const snapshot = await readSnapshot();
+            if (snapshot) {
+                const { newFindings, fixedFindings } = compareWithSnapshot(findings, snapshot);
+                console.log(`Snapshot: ${findings.length - newFindings.length} known findings, ${newFindings.length} new`);
+
+                // A partial run cannot tell fixed findings from ones outside the diff
+                if (fixedFindings.length > 0 && !changes) {
+                    const fixedCount = fixedFindings.reduce((sum, entry) => sum + entry.count, 0);
+                    console.log(chalk.green(`🎉 ${fixedCount} snapshot findings are fixed. Run check --update-snapshot to shrink ${SNAPSHOT_FILE}:`));
+                    fixedFindings.forEach(entry => console.log(chalk.green(`  - ${entry.file}: ${entry.feature}`)));
+                }
+                newFindings.forEach(({ file, issue }) => {
+                    console.log(`  + ${file}:${issue.line}:${issue.column} ${issue.feature} (${issue.severity})`);
+                });
+                checkedFindings = newFindings;
+            }
+
+            const totalIssues = checkedFindings.length;
+            const guardedCount = checkedFindings.filter(({ issue }) => issue.guarded).length;
+            const errorCount = checkedFindings.filter(({ issue }) => issue.severity === 'error').length;
+            const threshold = options.threshold;
+
+            console.log(`Found ${totalIssues} ${snapshot ? 'new ' : ''}compatibility issues (${errorCount} errors, ${guardedCount} guarded)`);
 
             if (errorCount > 0) {
                 console.log(chalk.red(`❌ Check failed: ${errorCount} compatibility errors found`));
@@ -636,66 +1093,205 @@ ${issue.polyfill ? `- **Polyfill**: \`${issue.polyfill}\`` : ''}
         }
     }
 
-    private async fixCommand(files: string[], options: CLIOptions) {
-        console.log(chalk.bold('🔧 Auto-fixing compatibility issues...\n'));
+    private async fixCommand(files: string[], options: ResolvedCLIOptions) {
+        console.log(chalk.bold(`🔧 ${options.dryRun ? 'Previewing fixes for' : 'Auto-fixing'} compatibility issues...\n`));
+        this.configureAnalyzer(options);
 
         const filesToProcess = files.length > 0 ? files : await this.resolveFiles(
-            options.include || ['**/*.{js,ts,jsx,tsx,css,html}'],
-            options.exclude || ['node_modules/**', 'dist/**']
+            options.include,
+            options.exclude
         );
 
-        let fixedCount = 0;
+        const fixes: { file: string; content: string; fixed: string; applied: any[] }[] = [];
+        let skippedCount = 0;
 
         for (const file of filesToProcess) {
+            const language = this.getLanguageFromFile(file);
+            if (!isFixableLanguage(language)) continue;
+
             const content = await fs.readFile(file, 'utf-8');
-            const fixedContent = await this.applyAutoFixes(content, this.getLanguageFromFile(file));
+            const { code: fixed, applied, skipped } = await this.applyAutoFixes(content, language);
+            const relative = path.relative(process.cwd(), file);
+
+            skipped.forEach(({ issue, reason }) => {
+                console.log(chalk.gray(`  ${relative}:${issue.line} ${issue.feature} not fixed: ${reason}`));
+            });
+            skippedCount += skipped.length;
 
-            if (fixedContent !== content) {
-                await fs.writeFile(file, fixedContent);
-                console.log(chalk.green(`✅ Fixed: ${path.relative(process.cwd(), file)}`));
-                fixedCount++;
+            if (fixed !== content) {
+                fixes.push({ file: relative, content, fixed, applied });
             }
         }
 
-        console.log(chalk.bold(`\n🎉 Auto-fix complete: ${fixedCount} files modified`));
-        
-        if (fixedCount > 0) {
-            console.log(chalk.blue('💡 Run the analysis again to verify fixes'));
+        if (fixes.length === 0) {
+            console.log(chalk.green('\n✅ Nothing to fix for the configured targets'));
+            return;
+        }
+
+        fixes.forEach(({ file, applied }) => {
+            console.log(chalk.bold(`\n${file}`));
+            applied.forEach(({ line, issue, before, after }) => {
+                console.log(`  Line ${line}: ${issue.feature}`);
+                console.log(chalk.red(`    - ${before}`));
+                console.log(chalk.green(`    + ${after}`));
+            });
+        });
+
+        if (options.dryRun || options.diff) {
+            const patch = fixes.map(({ file, content, fixed }) => createUnifiedDiff(file.split(path.sep).join('/'), content, fixed)).join('');
+            if (options.output) {
+                await fs.writeFile(options.output, patch);
+                console.log(chalk.green(`\nDiff saved to ${options.output}`));
+            } else {
+                console.log(`\n${patch}`);
+            }
+        }
+
+        const appliedCount = fixes.reduce((sum, { applied }) => sum + applied.length, 0);
+        if (options.dryRun) {
+            console.log(chalk.bold(`\n🔍 Dry run: ${appliedCount} fixes in ${fixes.length} files, ${skippedCount} findings need manual changes. No files were modified.`));
+            return;
+        }
+
+        if (!options.yes) {
+            if (!process.stdout.isTTY || options.ci) {
+                console.log(chalk.yellow('\nNo files were modified: pass --yes to apply fixes non-interactively, or --dry-run to preview them'));
+                return;
+            }
+            const { confirm } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: `Apply ${appliedCount} fixes to ${fixes.length} files?`,
+                default: false
+            }]);
+            if (!confirm) {
+                console.log(chalk.gray('No files were modified'));
+                return;
+            }
+        }
+
+        for (const { file, fixed } of fixes) {
+            await fs.writeFile(file, fixed);
+            console.log(chalk.green(`✅ Fixed: ${file}`));
+        }
+
+        console.log(chalk.bold(`\n🎉 Auto-fix complete: ${fixes.length} files modified`));
+        console.log(chalk.blue('💡 Run the analysis again to verify fixes'));
+    }
+
+    // Rewrites findings the configured targets need, re-analyzing between passes so nested
+    // rewrites (e.g. a.at(-1) inside b ?? c) are picked up once their outer edit has landed
+    private async applyAutoFixes(content: string, language: string): Promise<{ code: string; applied: any[]; skipped: any[] }> {
+        const MAX_PASSES = 5;
+        let code = content;
+        const applied: any[] = [];
+        let skipped: any[] = [];
+
+        for (let pass = 0; pass < MAX_PASSES; pass++) {
+            const analysis = await this.analyzer.analyzeCode(code, language);
+            const result = applyFixes(code, language, analysis.issues.filter(needsFix));
+            skipped = result.skipped;
+            if (result.code === code) break;
+
+            // Line numbers of later passes refer to rewritten code; the first pass matches the file on disk
+            applied.push(...result.applied);
+            code = result.code;
         }
+
+        return { code, applied, skipped };
     }
 
-    private async applyAutoFixes(content: string, language: string): Promise<string> {
-        let fixedContent = content;
+    private async polyfillsCommand(files: string[], options: ResolvedCLIOptions) {
+        const spinner = ora('Planning polyfills...').start();
 
-        // Example fixes (simplified)
-        if (language === 'javascript' || language === 'typescript') {
-            // Replace array.at(-1) with array[array.length - 1] for older browsers
-            fixedContent = fixedContent.replace(
-                /(\w+)\.at\((-?\d+)\)/g,
-                (match, arrayName, index) => {
-                    if (index === '-1') {
-                        return `${arrayName}[${arrayName}.length - 1]`;
-                    }
-                    return match;
-                }
-            );
+        try {
+            this.configureAnalyzer(options);
+            const filesToProcess = files.length > 0 ? files : await this.resolveFiles(options.include, options.exclude);
 
-            // Add feature detection for dialog.showModal()
-            fixedContent = fixedContent.replace(
-                /(\w+)\.showModal\(\)/g,
-                '$1.showModal ? $1.showModal() : ($1.style.display = "block")'
-            );
+            const findings: SnapshotFinding[] = [];
+            for (const file of filesToProcess) {
+                const content = await fs.readFile(file, 'utf-8');
+                const analysis = await this.analyzer.analyzeCode(content, this.getLanguageFromFile(file));
+                analysis.issues.forEach((issue: any) => findings.push({ file: path.relative(process.cwd(), file), issue }));
+            }
+
+            const plan = planPolyfills(findings);
+            spinner.stop();
+
+            if (options.format === 'json') {
+                console.log(JSON.stringify(plan, null, 2));
+            } else {
+                this.printPolyfillPlan(plan, await this.detectPackageManager());
+            }
+
+            if (options.write && plan.polyfills.length > 0) {
+                const outputFile = typeof options.write === 'string' ? options.write : 'polyfills.js';
+                await fs.writeFile(outputFile, generatePolyfillEntry(plan));
+                console.log(chalk.green(`\n✅ Polyfill entry written to ${outputFile}`));
+                console.log(chalk.blue(`💡 Import it before your application code and await polyfillsReady before first use`));
+            }
+        } catch (error) {
+            spinner.fail(`Polyfill planning failed: ${error}`);
+            process.exit(1);
+        }
+    }
+
+    private printPolyfillPlan(plan: any, packageManager: string) {
+        if (plan.polyfills.length === 0) {
+            console.log(chalk.green('✅ No polyfills needed for the configured targets'));
+        } else {
+            console.log(chalk.bold(`📦 Polyfills needed for ${this.describeBaselineTarget() || 'the configured targets'}:\n`));
+            const data = [
+                ['Polyfill', 'Features', 'Files', 'Size'],
+                ...plan.polyfills.map((polyfill: any) => [
+                    polyfill.name,
+                    polyfill.features.map((feature: any) => feature.name).join(', '),
+                    String(polyfill.files.length),
+                    polyfill.size === null ? 'unknown' : `${polyfill.size}KB`
+                ])
+            ];
+            console.log(table(data));
+
+            const unknown = plan.unknownSize.length > 0 ? ` (size unknown for ${plan.unknownSize.join(', ')})` : '';
+            console.log(`Total polyfill size: ${chalk.bold(`${plan.totalSize}KB`)}${unknown}`);
+            console.log(`\nInstall with:\n  ${chalk.cyan(`${packageManager} ${packageManager === 'npm' ? 'install' : 'add'} ${plan.packages.join(' ')}`)}`);
+
+            plan.polyfills.filter((polyfill: any) => polyfill.note).forEach((polyfill: any) => {
+                console.log(chalk.yellow(`\n⚠️ ${polyfill.name}: ${polyfill.note}`));
+            });
         }
 
-        return fixedContent;
+        if (plan.withoutPolyfill.length > 0) {
+            console.log(chalk.bold('\nNo polyfill available; use fallbacks or feature detection:'));
+            plan.withoutPolyfill.forEach((feature: any) => console.log(`  - ${feature.feature} (${feature.count} use${feature.count > 1 ? 's' : ''})`));
+        }
+    }
+
+    // Matches the install command to the lockfile in the project
+    private async detectPackageManager(): Promise<string> {
+        const lockfiles: [string, string][] = [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun']];
+        for (const [lockfile, manager] of lockfiles) {
+            try {
+                await fs.access(lockfile);
+                return manager;
+            } catch {
+                // Not this one
+            }
+        }
+        return 'npm';
+    }
+
+    private lspCommand(options: ResolvedCLIOptions) {
+        startLanguageServer(this.analyzer, { configure: () => this.configureAnalyzer(options) });
     }
 
-    private async watchCommand(files: string[], options: CLIOptions) {
+    private async watchCommand(files: string[], options: ResolvedCLIOptions) {
         console.log(chalk.bold('👀 Watching files for changes...\n'));
+        this.configureAnalyzer(options);
 
         const chokidar = require('chokidar');
-        const patterns = files.length > 0 ? files : options.include || ['**/*.{js,ts,jsx,tsx,css,html}'];
-        const ignored = options.exclude || ['node_modules/**', 'dist/**'];
+        const patterns = files.length > 0 ? files : options.include;
+        const ignored = options.exclude;
 
         const watcher = chokidar.watch(patterns, { ignored });
 
@@ -709,7 +1305,8 @@ ${issue.polyfill ? `- **Polyfill**: \`${issue.polyfill}\`` : ''}
                 if (analysis.issues.length > 0) {
                     console.log(chalk.yellow(`⚠️ ${analysis.issues.length} issues found in ${filePath}`));
                     analysis.issues.forEach(issue => {
-                        console.log(`  - Line ${issue.line}: ${issue.feature} (${issue.status})`);
+                        const missing = issue.unsupportedBrowsers?.length ? ` - missing in ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}` : '';
+                        console.log(`  - Line ${issue.line}: ${issue.feature} (${issue.status}${issue.guarded ? ', guarded' : ''})${missing}`);
                     });
                 } else {
                     console.log(chalk.green(`✅ No issues in ${filePath}`));
@@ -0,0 +1,155 @@
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { PassThrough } from 'stream';
+import { pathToFileURL } from 'url';
+import {
+    CodeActionRequest,
+    DiagnosticSeverity,
+    DidChangeConfigurationNotification,
+    DidOpenTextDocumentNotification,
+    HoverRequest,
+    InitializeRequest,
+    MessageConnection,
+    PublishDiagnosticsNotification,
+    PublishDiagnosticsParams,
+    StreamMessageReader,
+    StreamMessageWriter,
+    createMessageConnection
+} from 'vscode-languageserver/node';
+import { startLanguageServer } from './lsp';
+
+// Reports every showModal() call, with the severity the risk tolerance gives it
+class FakeAnalyzer {
+    features = new Map([['dialog', { polyfill: 'dialog-polyfill', fallback: 'Use a positioned <div>' }]]);
+    targets: string[] | null = null;
+    rules: Record<string, string> | null = null;
+    riskTolerance = 'medium';
+
+    setTargets(targets: string[] | null) {
+        this.targets = targets || null;
+    }
+
+    setRules(rules: Record<string, string> | null) {
+        this.rules = rules || null;
+    }
+
+    setRiskTolerance(level: string | null) {
+        this.riskTolerance = level || 'medium';
+    }
+
+    async analyzeCode(code: string) {
+        const start = code.indexOf('showModal');
+        const issues = start === -1 ? [] : [{
+            id: 'dialog',
+            feature: 'Dialog',
+            status: 'newly-available',
+            severity: this.riskTolerance === 'low' ? 'error' : 'warning',
+            start,
+            end: start + 'showModal'.length,
+            browsers: { chrome: '37' },
+            unsupportedBrowsers: [],
+            guarded: false,
+            polyfill: 'dialog-polyfill',
+            mdn: 'https://developer.mozilla.org/docs/Web/HTML/Element/dialog'
+        }];
+        return { issues, unusedSuppressions: [] };
+    }
+}
+
+describe('language server', () => {
+    let dir: string;
+    let analyzer: FakeAnalyzer;
+    let client: MessageConnection;
+    let server: { dispose(): void };
+    let diagnostics: PublishDiagnosticsParams[];
+    let published: () => Promise<PublishDiagnosticsParams>;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-lsp-'));
+        analyzer = new FakeAnalyzer();
+        const toServer = new PassThrough();
+        const toClient = new PassThrough();
+        server = startLanguageServer(analyzer, {
+            configure: () => analyzer.setTargets(['chrome >= 100']),
+            input: toServer,
+            output: toClient
+        });
+
+        client = createMessageConnection(new StreamMessageReader(toClient), new StreamMessageWriter(toServer));
+        diagnostics = [];
+        let waiting: ((params: PublishDiagnosticsParams) => void) | null = null;
+        client.onNotification(PublishDiagnosticsNotification.type, params => {
+            if (waiting) waiting(params);
+            else diagnostics.push(params);
+            waiting = null;
+        });
+        published = () => diagnostics.length > 0
+            ? Promise.resolve(diagnostics.shift()!)
+            : new Promise(resolve => { waiting = resolve; });
+        client.listen();
+    });
+
+    afterEach(async () => {
+        client.dispose();
+        server.dispose();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const open = (uri: string, text: string) => client.sendNotification(DidOpenTextDocumentNotification.type, {
+        textDocument: { uri, languageId: 'javascript', version: 1, text }
+    });
+
+    it('publishes diagnostics and hovers for an opened document', async () => {
+        await client.sendRequest(InitializeRequest.type, { processId: null, rootUri: null, capabilities: {} });
+        const uri = pathToFileURL(path.join(dir, 'app.js')).toString();
+        await open(uri, 'const d = dialog;\nd.showModal();\n');
+
+        const { diagnostics: [diagnostic] } = await published();
+        expect(diagnostic).toMatchObject({
+            range: { start: { line: 1, character: 2 }, end: { line: 1, character: 11 } },
+            severity: DiagnosticSeverity.Warning,
+            message: 'Dialog: newly available',
+            code: 'dialog',
+            source: 'baseline-copilot'
+        });
+
+        const hover: any = await client.sendRequest(HoverRequest.type, { textDocument: { uri }, position: { line: 1, character: 4 } });
+        expect(hover.contents.value).toContain('### Dialog');
+    });
+
+    it('applies risk tolerance and falls back to the command line setup for settings no longer sent', async () => {
+        await client.sendRequest(InitializeRequest.type, {
+            processId: null,
+            rootUri: null,
+            capabilities: {},
+            initializationOptions: { baselineCopilot: { targetBrowsers: ['safari >= 15'], riskTolerance: 'low' } }
+        });
+        expect(analyzer.targets).toEqual(['safari >= 15']);
+
+        await open(pathToFileURL(path.join(dir, 'app.js')).toString(), 'd.showModal();\n');
+        expect((await published()).diagnostics[0].severity).toBe(DiagnosticSeverity.Error);
+
+        await client.sendNotification(DidChangeConfigurationNotification.type, { settings: { baselineCopilot: {} } });
+        expect((await published()).diagnostics[0].severity).toBe(DiagnosticSeverity.Warning);
+        expect(analyzer.targets).toEqual(['chrome >= 100']);
+    });
+
+    it('offers the polyfill dependency when the import is already there', async () => {
+        await fs.writeFile(path.join(dir, 'package.json'), '{\n  "name": "app"\n}\n');
+        await client.sendRequest(InitializeRequest.type, { processId: null, rootUri: null, capabilities: {} });
+        const uri = pathToFileURL(path.join(dir, 'app.js')).toString();
+        await open(uri, "import dialogPolyfill from 'dialog-polyfill';\nd.showModal();\n");
+        const { diagnostics: reported } = await published();
+
+        const actions: any[] = await client.sendRequest(CodeActionRequest.type, {
+            textDocument: { uri },
+            range: reported[0].range,
+            context: { diagnostics: reported }
+        }) as any[];
+        const polyfill = actions.find(action => action.title === 'Add polyfill (dialog-polyfill)');
+        expect(Object.keys(polyfill.edit.changes)).toEqual([pathToFileURL(path.join(dir, 'package.json')).toString()]);
+        expect(polyfill.edit.changes[pathToFileURL(path.join(dir, 'package.json')).toString()][0].newText)
+            .toBe('{\n  "name": "app",\n  "dependencies": {\n    "dialog-polyfill": "^0.5.6"\n  }\n}\n');
+    });
+});
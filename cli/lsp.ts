@@ -0,0 +1,327 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+    CodeAction,
+    CodeActionKind,
+    Diagnostic,
+    DiagnosticSeverity,
+    DiagnosticTag,
+    Hover,
+    MarkupKind,
+    ProposedFeatures,
+    TextDocumentSyncKind,
+    TextDocuments,
+    TextEdit,
+    WorkspaceEdit,
+    createConnection
+} from 'vscode-languageserver/node';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { formatUnsupported } from '../src/targets/index.js';
+import { suppressionComment } from '../src/suppressions/index.js';
+import { createFallbackEdit } from '../src/fallbacks/index.js';
+import { POLYFILLS, addPolyfillDependency, createPolyfillImport } from '../src/polyfills/index.js';
+
+// Same shape as the VS Code extension's "baselineCopilot" settings
+export interface LanguageServerSettings {
+    targetBrowsers?: string[];
+    rules?: Record<string, string>;
+    riskTolerance?: 'low' | 'medium' | 'high';
+}
+
+export interface LanguageServerOptions {
+    // Applies the command line and configuration file setup that client settings are layered over
+    configure?: () => void;
+    input?: NodeJS.ReadableStream;
+    output?: NodeJS.WritableStream;
+}
+
+// Carried on each diagnostic so code actions do not have to re-analyze
+interface DiagnosticData {
+    id: string;
+    guarded: boolean;
+}
+
+const SOURCE = 'baseline-copilot';
+const SUPPORTED_LANGUAGES = ['javascript', 'javascriptreact', 'typescript', 'typescriptreact', 'jsx', 'tsx', 'css', 'html'];
+const ANALYSIS_DELAY = 300;
+
+const SEVERITIES: Record<string, DiagnosticSeverity> = {
+    error: DiagnosticSeverity.Error,
+    warning: DiagnosticSeverity.Warning,
+    info: DiagnosticSeverity.Information
+};
+
+// Nearest package.json from the file up to the filesystem root
+function findPackageJson(file: string): string | null {
+    for (let dir = path.dirname(file); ; dir = path.dirname(dir)) {
+        const candidate = path.join(dir, 'package.json');
+        if (fs.existsSync(candidate)) return candidate;
+        if (path.dirname(dir) === dir) return null;
+    }
+}
+
+// stdio language server publishing the same diagnostics, hovers and quick fixes as the VS Code extension
+export function startLanguageServer(analyzer: any, { configure = () => {}, input = process.stdin, output = process.stdout }: LanguageServerOptions = {}) {
+    const connection = createConnection(ProposedFeatures.all, input, output);
+    const documents = new TextDocuments(TextDocument);
+    // Latest analysis per document with the version it was computed for
+    const analyses = new Map<string, { version: number; analysis: any }>();
+    const timers = new Map<string, NodeJS.Timeout>();
+
+    // stdout carries the protocol; analyzer logging goes to the client's output instead
+    if (output === process.stdout) {
+        console.log = (...args: any[]) => connection.console.log(args.join(' '));
+        console.warn = (...args: any[]) => connection.console.warn(args.join(' '));
+    }
+
+    // Each configuration starts over from the command line setup, so settings the client stops sending no longer apply
+    function applySettings(settings: LanguageServerSettings = {}) {
+        try {
+            analyzer.setTargets(null);
+            analyzer.setRules(null);
+            analyzer.setRiskTolerance(null);
+            configure();
+            if (settings.targetBrowsers?.length) analyzer.setTargets(settings.targetBrowsers);
+            if (settings.rules && Object.keys(settings.rules).length > 0) analyzer.setRules(settings.rules);
+            if (settings.riskTolerance) analyzer.setRiskTolerance(settings.riskTolerance);
+        } catch (error) {
+            connection.window.showErrorMessage(`Baseline Copilot: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    async function analyzeDocument(document: TextDocument) {
+        if (!SUPPORTED_LANGUAGES.includes(document.languageId)) return;
+
+        try {
+            const analysis = await analyzer.analyzeCode(document.getText(), document.languageId);
+            // Skip results for text that changed while analyzing
+            if (documents.get(document.uri)?.version !== document.version) return;
+            analyses.set(document.uri, { version: document.version, analysis });
+
+            const diagnostics: Diagnostic[] = [];
+            analysis.issues.forEach((issue: any) => {
+                const range = { start: document.positionAt(issue.start), end: document.positionAt(issue.end) };
+                const relatedInformation = [{
+                    location: { uri: document.uri, range },
+                    message: `Browser support: ${Object.entries(issue.browsers).map(([browser, version]) => `${browser} ${version}`).join(', ')}`
+                }];
+                if (issue.unsupportedBrowsers?.length > 0) {
+                    relatedInformation.push({
+                        location: { uri: document.uri, range },
+                        message: `Not supported by targets: ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}`
+                    });
+                }
+
+                diagnostics.push({
+                    range,
+                    severity: SEVERITIES[issue.severity],
+                    message: `${issue.feature}: ${issue.status.replace('-', ' ')}${issue.guarded ? ' (guarded by feature detection)' : ''}`,
+                    code: issue.id,
+                    codeDescription: issue.mdn ? { href: issue.mdn } : undefined,
+                    source: SOURCE,
+                    relatedInformation,
+                    data: { id: issue.id, guarded: Boolean(issue.guarded) } as DiagnosticData
+                });
+            });
+
+            analysis.unusedSuppressions.forEach((directive: any) => {
+                diagnostics.push({
+                    range: { start: document.positionAt(directive.start), end: document.positionAt(directive.end) },
+                    severity: DiagnosticSeverity.Information,
+                    message: directive.message,
+                    code: 'unused-suppression',
+                    source: SOURCE,
+                    tags: [DiagnosticTag.Unnecessary]
+                });
+            });
+
+            connection.sendDiagnostics({ uri: document.uri, version: document.version, diagnostics });
+        } catch (error) {
+            connection.console.error(`Analysis of ${document.uri} failed: ${error}`);
+        }
+    }
+
+    function scheduleAnalysis(document: TextDocument) {
+        clearTimeout(timers.get(document.uri));
+        timers.set(document.uri, setTimeout(() => {
+            timers.delete(document.uri);
+            analyzeDocument(document);
+        }, ANALYSIS_DELAY));
+    }
+
+    function hoverContent(issue: any): string {
+        const lines = [
+            `### ${issue.feature}`,
+            '',
+            `**Status**: ${issue.status.replace('-', ' ')}`,
+            '',
+            '**Browser Support**:',
+            ...Object.entries(issue.browsers).map(([browser, version]) => `- ${browser}: ${version}`)
+        ];
+        if (issue.unsupportedBrowsers?.length > 0) {
+            lines.push('', `**Missing in targets**: ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}`);
+        }
+        if (issue.description) lines.push('', issue.description);
+        if (issue.fallback) lines.push('', `**Fallback**: ${issue.fallback}`);
+        if (issue.polyfill) lines.push('', `**Polyfill**: \`${issue.polyfill}\``);
+        lines.push('', `[📖 Learn more](${issue.mdn})`);
+        return lines.join('\n');
+    }
+
+    // Import at the top of the file plus the package in the nearest package.json, whichever are missing
+    function polyfillEdit(document: TextDocument, name: string): WorkspaceEdit | null {
+        const changes: Record<string, TextEdit[]> = {};
+
+        const insertion = createPolyfillImport(document.getText(), document.languageId, name);
+        if (insertion) {
+            changes[document.uri] = [TextEdit.insert(document.positionAt(insertion.offset), insertion.text)];
+        }
+
+        const packageJson = document.uri.startsWith('file:') ? findPackageJson(fileURLToPath(document.uri)) : null;
+        if (packageJson) {
+            const text = fs.readFileSync(packageJson, 'utf-8');
+            try {
+                const updated = addPolyfillDependency(text, name);
+                if (updated !== null) {
+                    const lines = text.split('\n');
+                    changes[pathToFileURL(packageJson).toString()] = [TextEdit.replace(
+                        { start: { line: 0, character: 0 }, end: { line: lines.length, character: 0 } },
+                        updated
+                    )];
+                }
+            } catch (error) {
+                // Code actions are computed on every cursor move, so log instead of popping up a message
+                connection.console.warn(`${(error as Error).message} (${packageJson}); offering the import only`);
+            }
+        }
+        return Object.keys(changes).length > 0 ? { changes } : null;
+    }
+
+    connection.onInitialize(params => {
+        applySettings(params.initializationOptions?.baselineCopilot);
+        return {
+            capabilities: {
+                textDocumentSync: TextDocumentSyncKind.Incremental,
+                hoverProvider: true,
+                codeActionProvider: { codeActionKinds: [CodeActionKind.QuickFix] }
+            },
+            serverInfo: { name: 'baseline-copilot' }
+        };
+    });
+
+    connection.onDidChangeConfiguration(change => {
+        applySettings(change.settings?.baselineCopilot);
+        documents.all().forEach(document => analyzeDocument(document));
+    });
+
+    // Opening a document also reports it as changed; analyze it right away instead of once more after the delay
+    let opened: TextDocument | null = null;
+    documents.onDidOpen(event => {
+        opened = event.document;
+        analyzeDocument(event.document);
+    });
+    documents.onDidChangeContent(event => {
+        if (event.document === opened) {
+            opened = null;
+            return;
+        }
+        scheduleAnalysis(event.document);
+    });
+    documents.onDidClose(event => {
+        clearTimeout(timers.get(event.document.uri));
+        analyses.delete(event.document.uri);
+        connection.sendDiagnostics({ uri: event.document.uri, diagnostics: [] });
+    });
+
+    connection.onHover(async (params): Promise<Hover | null> => {
+        const document = documents.get(params.textDocument.uri);
+        if (!document) return null;
+        // Offsets from an analysis of an older version would point at the wrong text
+        if (analyses.get(document.uri)?.version !== document.version) {
+            clearTimeout(timers.get(document.uri));
+            await analyzeDocument(document);
+        }
+        const cached = analyses.get(document.uri);
+        if (cached?.version !== document.version) return null;
+        const analysis = cached.analysis;
+
+        const offset = document.offsetAt(params.position);
+        const issue = analysis.issues.find((candidate: any) => offset >= candidate.start && offset <= candidate.end);
+        if (!issue) return null;
+
+        return {
+            contents: { kind: MarkupKind.Markdown, value: hoverContent(issue) },
+            range: { start: document.positionAt(issue.start), end: document.positionAt(issue.end) }
+        };
+    });
+
+    connection.onCodeAction(params => {
+        const document = documents.get(params.textDocument.uri);
+        if (!document) return [];
+
+        const actions: CodeAction[] = [];
+        params.context.diagnostics
+            .filter(diagnostic => diagnostic.source === SOURCE && diagnostic.code !== 'unused-suppression')
+            .forEach(diagnostic => {
+                const { id, guarded } = (diagnostic.data || { id: String(diagnostic.code), guarded: false }) as DiagnosticData;
+                const feature = analyzer.features.get(id);
+                // Guarded uses and features the targets support need neither a fallback nor a polyfill
+                const needsSupport = !guarded
+                    && (diagnostic.severity === DiagnosticSeverity.Error || diagnostic.severity === DiagnosticSeverity.Warning);
+
+                const fallback = needsSupport && createFallbackEdit(
+                    document.getText(),
+                    document.languageId,
+                    { id, start: document.offsetAt(diagnostic.range.start), end: document.offsetAt(diagnostic.range.end) },
+                    feature?.fallback
+                );
+                if (fallback) {
+                    actions.push({
+                        title: 'Add fallback implementation',
+                        kind: CodeActionKind.QuickFix,
+                        diagnostics: [diagnostic],
+                        edit: {
+                            changes: {
+                                [document.uri]: [TextEdit.replace(
+                                    { start: document.positionAt(fallback.start), end: document.positionAt(fallback.end) },
+                                    fallback.text
+                                )]
+                            }
+                        }
+                    });
+                }
+
+                const polyfill = needsSupport && feature?.polyfill && POLYFILLS[feature.polyfill] ? polyfillEdit(document, feature.polyfill) : null;
+                if (polyfill) {
+                    actions.push({
+                        title: `Add polyfill (${feature.polyfill})`,
+                        kind: CodeActionKind.QuickFix,
+                        diagnostics: [diagnostic],
+                        edit: polyfill
+                    });
+                }
+
+                // Suppress with a disable-next-line directive above the finding
+                const line = diagnostic.range.start.line;
+                const lineText = document.getText({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } });
+                const indentation = lineText.match(/^[ \t]*/)![0];
+                actions.push({
+                    title: 'Suppress for this line',
+                    kind: CodeActionKind.QuickFix,
+                    diagnostics: [diagnostic],
+                    edit: {
+                        changes: {
+                            [document.uri]: [TextEdit.insert({ line, character: 0 }, `${indentation}${suppressionComment(id, document.languageId)}\n`)]
+                        }
+                    }
+                });
+            });
+
+        return actions;
+    });
+
+    documents.listen(connection);
+    connection.listen();
+    return connection;
+}
@@ -0,0 +1,101 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+
+export const SNAPSHOT_FILE = '.baseline-copilot-snapshot.json';
+const SNAPSHOT_VERSION = 1;
+
+export interface SnapshotEntry {
+    feature: string;
+    file: string;
+    code: string;
+    count: number;
+}
+
+export interface Snapshot {
+    version: number;
+    findings: Record<string, SnapshotEntry>;
+}
+
+export interface SnapshotFinding {
+    file: string;
+    issue: any;
+}
+
+export interface SnapshotComparison {
+    newFindings: SnapshotFinding[];
+    fixedFindings: SnapshotEntry[];
+}
+
+// Whitespace-insensitive so reformatting a line does not turn it into a new finding
+function normalizeCode(code: string): string {
+    return code.replace(/\s+/g, ' ').trim();
+}
+
+// Feature, file and code, but not the line number, so findings survive lines moving around
+export function fingerprint(file: string, issue: any): string {
+    return crypto
+        .createHash('sha1')
+        .update([issue.id, file.split('\\').join('/'), normalizeCode(issue.code)].join('\0'))
+        .digest('hex');
+}
+
+export function createSnapshot(findings: SnapshotFinding[]): Snapshot {
+    const entries: Record<string, SnapshotEntry> = {};
+
+    findings.forEach(({ file, issue }) => {
+        const key = fingerprint(file, issue);
+        if (entries[key]) {
+            entries[key].count++;
+        } else {
+            entries[key] = { feature: issue.id, file: file.split('\\').join('/'), code: normalizeCode(issue.code), count: 1 };
+        }
+    });
+
+    // Stable ordering keeps the committed file diffable
+    const sorted = Object.entries(entries).sort(([, a], [, b]) =>
+        a.file.localeCompare(b.file) || a.feature.localeCompare(b.feature) || a.code.localeCompare(b.code)
+    );
+    return { version: SNAPSHOT_VERSION, findings: Object.fromEntries(sorted) };
+}
+
+export async function readSnapshot(filepath: string = SNAPSHOT_FILE): Promise<Snapshot | null> {
+    let content: string;
+    try {
+        content = await fs.readFile(filepath, 'utf-8');
+    } catch {
+        return null;
+    }
+
+    const snapshot = JSON.parse(content);
+    if (snapshot?.version !== SNAPSHOT_VERSION || typeof snapshot.findings !== 'object') {
+        throw new Error(`${filepath} is not a Baseline Copilot snapshot (version ${SNAPSHOT_VERSION}); run check --update-snapshot to recreate it`);
+    }
+    return snapshot;
+}
+
+export async function writeSnapshot(snapshot: Snapshot, filepath: string = SNAPSHOT_FILE): Promise<void> {
+    await fs.writeFile(filepath, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+// Findings beyond what the snapshot allows are new; snapshot entries no longer found are fixed
+export function compareWithSnapshot(findings: SnapshotFinding[], snapshot: Snapshot): SnapshotComparison {
+    const remaining: Record<string, number> = {};
+    Object.entries(snapshot.findings).forEach(([key, entry]) => {
+        remaining[key] = entry.count;
+    });
+
+    const newFindings = findings.filter(finding => {
+        const key = fingerprint(finding.file, finding.issue);
+        if (remaining[key] > 0) {
+            remaining[key]--;
+            return false;
+        }
+        return true;
+    });
+
+    const fixedFindings = Object.entries(remaining)
+        .filter(([, count]) => count > 0)
+        .map(([key, count]) => ({ ...snapshot.findings[key], count }));
+
+    return { newFindings, fixedFindings };
+}
@@ -1,19 +1,223 @@
 // Enhanced Baseline Analyzer with Official Data Integration
 // Connects to web-features npm package and Web Platform Dashboard API
 
-class EnhancedBaselineAnalyzer {
-    constructor() {
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import * as path from 'path';
+import { detectFeatures } from './src/detectors/index.js';
+import { evaluateSupport, parseTargets, resolveTargets } from './src/targets/index.js';
+import { resolveBrowserslist } from './src/targets/browserslist.js';
+import { applySuppressions, parseDirectives } from './src/suppressions/index.js';
+import { findRule, normalizeRules, ruleSeverity } from './src/rules/index.js';
+import { baselineStatusAt, formatDate, meetsBaselineTarget, parseAsOf, parseBaselineTarget } from './src/targets/baseline.js';
+
+const requireFromHere = createRequire(import.meta.url);
+
+// Features we detect that web-features does not track as a feature of its own
+const SUPPLEMENTAL_FEATURES = {
+    'optional-chaining': {
+        name: 'Optional Chaining (?.)',
+        description: 'Enables reading deeply-nested object properties without validating each reference',
+        spec: 'https://tc39.es/ecma262/#prod-OptionalExpression',
+        group: 'javascript',
+        groups: ['javascript'],
+        snapshot: 'ecmascript-2020',
+        baseline: {
+            status: 'high',
+            low_date: '2020-04-21',
+            high_date: '2022-10-21'
+        },
+        support: {
+            chrome: '80',
+            chrome_android: '80',
+            edge: '80',
+            firefox: '72',
+            firefox_android: '79',
+            safari: '13.1',
+            safari_ios: '13.4'
+        }
+    }
+};
+
+// Minimal dataset used only when neither web-features nor a snapshot can be read
+const LOCAL_FEATURES = {
+    'dialog': {
+        name: '<dialog>',
+        description: 'The <dialog> element represents a dialog box or other interactive component',
+        spec: 'https://html.spec.whatwg.org/multipage/interactive-elements.html#the-dialog-element',
+        group: 'html-elements',
+        groups: ['html-elements'],
+        baseline: {
+            status: 'high',
+            low_date: '2022-03-14',
+            high_date: '2024-09-14'
+        },
+        support: {
+            chrome: '37',
+            chrome_android: '37',
+            edge: '79',
+            firefox: '98',
+            firefox_android: '98',
+            safari: '15.4',
+            safari_ios: '15.4'
+        }
+    },
+    'array-at': {
+        name: 'Array at()',
+        description: 'The at() method takes an integer value and returns the item at that index',
+        spec: 'https://tc39.es/ecma262/#sec-array.prototype.at',
+        group: 'arrays',
+        groups: ['arrays'],
+        snapshot: 'ecmascript-2022',
+        baseline: {
+            status: 'high',
+            low_date: '2022-03-14',
+            high_date: '2024-09-14'
+        },
+        support: {
+            chrome: '92',
+            chrome_android: '92',
+            edge: '92',
+            firefox: '90',
+            firefox_android: '90',
+            safari: '15.4',
+            safari_ios: '15.4'
+        }
+    },
+    'container-queries': {
+        name: 'Container queries (size)',
+        description: 'Style elements based on the size of their containing element',
+        spec: 'https://drafts.csswg.org/css-conditional-5/#container-queries',
+        group: 'container-queries',
+        groups: ['container-queries'],
+        baseline: {
+            status: 'high',
+            low_date: '2023-02-14',
+            high_date: '2025-08-14'
+        },
+        support: {
+            chrome: '105',
+            chrome_android: '105',
+            edge: '105',
+            firefox: '110',
+            firefox_android: '110',
+            safari: '16',
+            safari_ios: '16'
+        }
+    },
+    'has': {
+        name: ':has()',
+        description: 'Select elements that contain specific descendants',
+        spec: 'https://drafts.csswg.org/selectors-4/#relational',
+        group: 'selectors',
+        groups: ['selectors'],
+        baseline: {
+            status: 'high',
+            low_date: '2023-12-19',
+            high_date: '2026-06-19'
+        },
+        support: {
+            chrome: '105',
+            chrome_android: '105',
+            edge: '105',
+            firefox: '121',
+            firefox_android: '121',
+            safari: '15.4',
+            safari_ios: '15.4'
+        }
+    }
+};
+
+// Browsers listed in issue support tables when no targets are configured
+const DEFAULT_SUPPORT_BROWSERS = ['chrome', 'firefox', 'safari', 'edge'];
+
+// Line patterns that only make sense inside stylesheets
+const CSS_PATTERN_FEATURES = new Set(['container-queries', 'has', 'nesting']);
+
+const RISK_TOLERANCES = ['low', 'medium', 'high'];
+
+// web-features marks dates and versions it cannot pin down exactly as "≤2020-01-01"
+function stripRangePrefix(value) {
+    return typeof value === 'string' ? value.replace(/^≤/, '') : value;
+}
+
+export class EnhancedBaselineAnalyzer {
+    constructor(options = {}) {
+        this.options = options;
         this.features = new Map();
         this.webPlatformData = new Map();
         this.performanceData = new Map();
         this.communityData = new Map();
+        this.browserReleases = {};
+        this.featureGroups = {};
+        this.dataVersion = null;
         this.isDataLoaded = false;
-        this.loadOfficialData();
+        this.isOfficialData = false;
+        if (options.browserslist) {
+            this.setBrowserslist(options.browserslist === true ? undefined : options.browserslist, { path: options.browserslistPath });
+        } else {
+            this.setTargets(options.targets);
+        }
+        this.setBaselineTarget(options.baseline, { asOf: options.asOf });
+        this.setRules(options.rules);
+        this.setRiskTolerance(options.riskTolerance);
+        this.ready = this.loadOfficialData();
+    }
+
+    // Targets are validated eagerly but resolved on first use, once browser release data is loaded
+    setTargets(targets) {
+        const hasTargets = Array.isArray(targets) ? targets.length > 0 : Boolean(targets);
+        if (hasTargets) parseTargets(targets);
+        this.targets = hasTargets ? targets : null;
+        this.resolvedTargets = null;
+    }
+
+    // Browserslist queries resolve to concrete versions straight away; no query means the project config
+    setBrowserslist(query, { path, env } = {}) {
+        this.targets = null;
+        this.resolvedTargets = resolveBrowserslist(query, { path, env });
+    }
+
+    // A Baseline year or "widely"/"newly", optionally judged as of a fixed date instead of today
+    setBaselineTarget(target, { asOf } = {}) {
+        this.baselineTarget = target ? parseBaselineTarget(target) : null;
+        this.asOf = asOf ? parseAsOf(asOf) : null;
+    }
+
+    // Per-feature and "group:<id>" rules override the computed severity; "off" drops the issue
+    setRules(rules) {
+        this.rules = rules ? normalizeRules(rules) : null;
+    }
+
+    // Low tolerance reports warnings as errors; high tolerance drops informational findings
+    setRiskTolerance(level) {
+        if (level && !RISK_TOLERANCES.includes(level)) {
+            throw new Error(`Unknown risk tolerance "${level}". Expected "low", "medium" or "high"`);
+        }
+        this.riskTolerance = level || 'medium';
+    }
+
+    getAsOf() {
+        return this.asOf || new Date();
+    }
+
+    getBaselineTarget() {
+        if (!this.baselineTarget && !this.asOf) return null;
+        return {
+            target: this.baselineTarget ? this.baselineTarget.label : null,
+            asOf: formatDate(this.getAsOf())
+        };
+    }
+
+    getResolvedTargets() {
+        if (!this.resolvedTargets && this.targets) {
+            this.resolvedTargets = resolveTargets(this.targets, this.browserReleases);
+        }
+        return this.resolvedTargets;
     }
 
     async loadOfficialData() {
         try {
-            // Load web-features data from CDN (simulating npm package)
             await Promise.all([
                 this.loadWebFeaturesData(),
                 this.loadWebPlatformDashboardData(),
@@ -21,7 +225,8 @@ class EnhancedBaselineAnalyzer {
                 this.loadCommunityData()
             ]);
             this.isDataLoaded = true;
-            console.log('✅ Official Baseline data loaded successfully');
+            this.isOfficialData = true;
+            console.log(`✅ Official Baseline data loaded successfully (${this.dataVersion})`);
         } catch (error) {
             console.warn('⚠️ Could not load official data, falling back to local data:', error);
             this.loadLocalFeatureDatabase();
@@ -30,119 +235,71 @@ class EnhancedBaselineAnalyzer {
     }
 
     async loadWebFeaturesData() {
-        // Simulate loading from web-features npm package
-        // In production, this would be: import { features } from 'web-features';
-        const webFeaturesData = {
-            'dialog': {
-                name: 'HTML Dialog Element',
-                description: 'The <dialog> element represents a dialog box or other interactive component',
-                spec: 'https://html.spec.whatwg.org/multipage/interactive-elements.html#the-dialog-element',
-                group: 'html',
-                snapshot: '2022',
-                baseline: {
-                    status: 'high',
-                    low_date: '2022-03-14',
-                    high_date: '2024-09-14'
-                },
-                support: {
-                    chrome: '37',
-                    chrome_android: '37',
-                    edge: '79',
-                    firefox: '98',
-                    firefox_android: '98',
-                    safari: '15.4',
-                    safari_ios: '15.4'
-                }
-            },
-            'array-at': {
-                name: 'Array.prototype.at()',
-                description: 'The at() method takes an integer value and returns the item at that index',
-                spec: 'https://tc39.es/ecma262/#sec-array.prototype.at',
-                group: 'javascript',
-                snapshot: '2022',
-                baseline: {
-                    status: 'high',
-                    low_date: '2022-01-15',
-                    high_date: '2024-07-15'
-                },
-                support: {
-                    chrome: '92',
-                    chrome_android: '92',
-                    edge: '92',
-                    firefox: '90',
-                    firefox_android: '90',
-                    safari: '15.4',
-                    safari_ios: '15.4'
-                }
-            },
-            'optional-chaining': {
-                name: 'Optional Chaining (?.)',
-                description: 'Enables reading deeply-nested object properties without validating each reference',
-                spec: 'https://tc39.es/ecma262/#prod-OptionalExpression',
-                group: 'javascript',
-                snapshot: '2020',
-                baseline: {
-                    status: 'high',
-                    low_date: '2020-04-21',
-                    high_date: '2022-10-21'
-                },
-                support: {
-                    chrome: '80',
-                    chrome_android: '80',
-                    edge: '80',
-                    firefox: '72',
-                    firefox_android: '79',
-                    safari: '13.1',
-                    safari_ios: '13.4'
-                }
-            },
-            'container-queries': {
-                name: 'CSS Container Queries',
-                description: 'Style elements based on the size of their containing element',
-                spec: 'https://www.w3.org/TR/css-contain-3/',
-                group: 'css',
-                snapshot: '2023',
-                baseline: {
-                    status: 'high',
-                    low_date: '2023-02-14',
-                    high_date: '2025-08-14'
-                },
-                support: {
-                    chrome: '105',
-                    chrome_android: '105',
-                    edge: '105',
-                    firefox: '110',
-                    firefox_android: '110',
-                    safari: '16.0',
-                    safari_ios: '16.0'
-                }
-            },
-            'css-has': {
-                name: 'CSS :has() Selector',
-                description: 'Select elements that contain specific descendants',
-                spec: 'https://www.w3.org/TR/selectors-4/#relational',
-                group: 'css',
-                snapshot: '2023',
-                baseline: {
-                    status: 'high',
-                    low_date: '2023-12-18',
-                    high_date: '2026-06-18'
-                },
-                support: {
-                    chrome: '105',
-                    chrome_android: '105',
-                    edge: '105',
-                    firefox: '121',
-                    firefox_android: '121',
-                    safari: '15.4',
-                    safari_ios: '15.4'
-                }
+        // A snapshot file takes precedence so the analyzer can run offline
+        // and CI runs can pin the exact dataset they were validated against.
+        const snapshotPath = this.options.snapshot || process.env.BASELINE_COPILOT_SNAPSHOT;
+        const data = snapshotPath
+            ? await this.readWebFeaturesSnapshot(snapshotPath)
+            : await this.readWebFeaturesPackage();
+
+        this.dataVersion = data.version;
+        this.browserReleases = data.browsers || {};
+        this.featureGroups = data.groups || {};
+
+        Object.entries(data.features).forEach(([key, entry]) => {
+            // Skip "moved" and "split" redirects, they carry no status of their own
+            if (entry.kind && entry.kind !== 'feature') return;
+            this.features.set(key, this.normalizeFeatureData(this.fromWebFeature(entry), key));
+        });
+
+        Object.entries(SUPPLEMENTAL_FEATURES).forEach(([key, feature]) => {
+            if (!this.features.has(key)) {
+                this.features.set(key, this.normalizeFeatureData(feature, key));
             }
+        });
+    }
+
+    async readWebFeaturesPackage() {
+        const dataPath = requireFromHere.resolve('web-features/data.json');
+        const packagePath = path.join(path.dirname(dataPath), 'package.json');
+        const [data, pkg] = await Promise.all([
+            readFile(dataPath, 'utf-8').then(JSON.parse),
+            readFile(packagePath, 'utf-8').then(JSON.parse)
+        ]);
+        return { ...data, version: `web-features@${pkg.version}` };
+    }
+
+    async readWebFeaturesSnapshot(snapshotPath) {
+        // Snapshots use the web-features data.json layout, optionally with a
+        // top-level "version". A bare feature map is accepted as well.
+        const snapshot = JSON.parse(await readFile(snapshotPath, 'utf-8'));
+        const features = snapshot.features || snapshot;
+        return {
+            ...snapshot,
+            features,
+            version: snapshot.version || `snapshot:${path.basename(snapshotPath)}`
         };
+    }
 
-        Object.entries(webFeaturesData).forEach(([key, feature]) => {
-            this.features.set(key, this.normalizeFeatureData(feature, key));
-        });
+    fromWebFeature(entry) {
+        const status = entry.status || {};
+        return {
+            name: entry.name,
+            description: entry.description,
+            spec: Array.isArray(entry.spec) ? entry.spec[0] : entry.spec,
+            group: Array.isArray(entry.group) ? entry.group[0] : entry.group,
+            groups: [].concat(entry.group || []),
+            snapshot: Array.isArray(entry.snapshot) ? entry.snapshot[0] : entry.snapshot,
+            caniuse: entry.caniuse,
+            baseline: {
+                status: status.baseline,
+                low_date: stripRangePrefix(status.baseline_low_date),
+                high_date: stripRangePrefix(status.baseline_high_date)
+            },
+            support: Object.fromEntries(
+                Object.entries(status.support || {}).map(([browser, version]) => [browser, stripRangePrefix(version)])
+            )
+        };
     }
 
     async loadWebPlatformDashboardData() {
@@ -215,7 +372,7 @@ class EnhancedBaselineAnalyzer {
                 runtime_overhead: 'low',
                 polyfill_size: '15KB'
             },
-            'css-has': {
+            'has': {
                 impact: 'moderate',
                 bundle_size: '+3KB',
                 runtime_overhead: 'medium',
@@ -260,8 +417,8 @@ class EnhancedBaselineAnalyzer {
     }
 
     normalizeFeatureData(webFeature, key) {
-        const baselineStatus = this.getBaselineStatus(webFeature.baseline);
-        
+        const baselineStatus = this.getBaselineStatus(webFeature.baseline, webFeature.support);
+
         return {
             id: key,
             name: webFeature.name,
@@ -269,9 +426,13 @@ class EnhancedBaselineAnalyzer {
             pattern: this.getDetectionPattern(key),
             status: baselineStatus,
             baseline: webFeature.baseline?.low_date || null,
+            baselineHigh: webFeature.baseline?.high_date || null,
             browsers: this.formatBrowserSupport(webFeature.support),
+            support: webFeature.support || {},
             spec: webFeature.spec,
             group: webFeature.group,
+            groups: webFeature.groups || [webFeature.group].filter(Boolean),
+            snapshot: webFeature.snapshot,
             severity: this.getSeverity(baselineStatus),
             mdn: this.getMDNLink(key),
             polyfill: this.getPolyfillInfo(key),
@@ -279,16 +440,8 @@ class EnhancedBaselineAnalyzer {
         };
     }
 
-    getBaselineStatus(baseline) {
-        if (!baseline) return 'unsupported';
-        
-        const now = new Date();
-        const lowDate = new Date(baseline.low_date);
-        const highDate = new Date(baseline.high_date);
-        
-        if (highDate <= now) return 'widely-available';
-        if (lowDate <= now) return 'newly-available';
-        return 'limited';
+    getBaselineStatus(baseline, support = {}) {
+        return baselineStatusAt(baseline, support, this.getAsOf());
     }
 
     getDetectionPattern(key) {
@@ -298,24 +451,20 @@ class EnhancedBaselineAnalyzer {
             'optional-chaining': /\?\./,
             'nullish-coalescing': /\?\?/,
             'container-queries': /@container|container-type:|container-name:/i,
-            'css-has': /:has\(/i,
-            'css-nesting': /&\s*[:{\.\#]/,
+            'has': /:has\(/i,
+            'nesting': /&\s*[:{\.\#]/,
             'object-hasown': /Object\.hasOwn\(/,
-            'temporal-api': /Temporal\./,
-            'fetch-api': /fetch\s*\(/
+            'temporal': /Temporal\./,
+            'fetch': /fetch\s*\(/
         };
-        return patterns[key] || new RegExp(key, 'i');
+        // Most web-features entries have no detector yet; never guess one from the id
+        return patterns[key] || null;
     }
 
-    formatBrowserSupport(support) {
+    formatBrowserSupport(support, browsers = DEFAULT_SUPPORT_BROWSERS) {
         if (!support) return {};
         
-        return {
-            chrome: support.chrome ? `${support.chrome}+` : 'None',
-            firefox: support.firefox ? `${support.firefox}+` : 'None',
-            safari: support.safari ? `${support.safari}+` : 'None',
-            edge: support.edge ? `${support.edge}+` : 'None'
-        };
+        return Object.fromEntries(browsers.map(browser => [browser, support[browser] ? `${support[browser]}+` : 'None']));
     }
 
     getMDNLink(key) {
@@ -324,17 +473,21 @@ class EnhancedBaselineAnalyzer {
             'array-at': 'https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Array/at',
             'optional-chaining': 'https://developer.mozilla.org/docs/Web/JavaScript/Reference/Operators/Optional_chaining',
             'container-queries': 'https://developer.mozilla.org/docs/Web/CSS/CSS_Container_Queries',
-            'css-has': 'https://developer.mozilla.org/docs/Web/CSS/:has'
+            'has': 'https://developer.mozilla.org/docs/Web/CSS/:has'
         };
         return mdnLinks[key] || `https://developer.mozilla.org/en-US/search?q=${key}`;
     }
 
     getPolyfillInfo(key) {
+        // Names are keys of the polyfill catalog in src/polyfills
         const polyfills = {
             'dialog': 'dialog-polyfill',
-            'array-at': 'array-at-polyfill',
-            'container-queries': '@container-query-polyfill/postcss',
-            'css-has': 'css-has-pseudo'
+            'array-at': 'core-js/actual/array/at',
+            'object-hasown': 'core-js/actual/object/has-own',
+            'structured-clone': 'core-js/actual/structured-clone',
+            'container-queries': 'container-query-polyfill',
+            'has': 'css-has-pseudo',
+            'temporal': '@js-temporal/polyfill'
         };
         return polyfills[key] || null;
     }
@@ -345,7 +498,7 @@ class EnhancedBaselineAnalyzer {
             'array-at': 'array[array.length - 1] or array.slice(-1)[0]',
             'optional-chaining': 'Manual null/undefined checks with &&',
             'container-queries': 'Media queries with JavaScript ResizeObserver',
-            'css-has': 'JavaScript querySelector with event delegation'
+            'has': 'JavaScript querySelector with event delegation'
         };
         return fallbacks[key] || 'Feature-specific implementation required';
     }
@@ -360,55 +513,167 @@ class EnhancedBaselineAnalyzer {
         return severityMap[status] || 'info';
     }
 
+    getGuardedSeverity(severity) {
+        const downgraded = {
+            'error': 'warning',
+            'warning': 'info',
+            'info': 'info'
+        };
+        return downgraded[severity] || severity;
+    }
+
+    getRiskSeverity(severity) {
+        if (this.riskTolerance === 'low' && severity === 'warning') return 'error';
+        if (this.riskTolerance === 'high' && severity === 'info') return null;
+        return severity;
+    }
+
+    getTargetSeverity({ supported, unsupported }) {
+        if (unsupported.length === 0) return 'info';
+        if (supported.length === 0) return 'error';
+        return 'warning';
+    }
+
+    // Outside the Baseline target: a warning while the feature is at least newly available, an error otherwise
+    getBaselineTargetSeverity(withinTarget, status) {
+        if (withinTarget) return 'info';
+        return status === 'widely-available' || status === 'newly-available' ? 'warning' : 'error';
+    }
+
+    getTargetStatus({ supported, unsupported }) {
+        if (unsupported.length === 0) return 'supported';
+        if (supported.length === 0) return 'unsupported';
+        return 'partially-supported';
+    }
+
     loadLocalFeatureDatabase() {
         // Fallback to local database if official data fails
         console.log('Loading fallback feature database...');
-        // This would contain the original feature database as backup
+        this.features.clear();
+        this.dataVersion = 'local';
+        Object.entries({ ...LOCAL_FEATURES, ...SUPPLEMENTAL_FEATURES }).forEach(([key, feature]) => {
+            this.features.set(key, this.normalizeFeatureData(feature, key));
+        });
     }
 
     async analyzeCode(code, language = 'javascript') {
-        if (!this.isDataLoaded) {
-            await new Promise(resolve => setTimeout(resolve, 100)); // Wait for data
+        await this.ready;
+
+        const lines = code.split('\n');
+        const results = this.detectMatches(code, language)
+            .filter(match => this.features.has(match.id))
+            .map(match => this.createIssue(match, lines))
+            .filter(issue => issue.severity !== null);
+
+        const { reported, suppressed, unused } = applySuppressions(results, parseDirectives(code, language));
+        return this.enrichResults(reported, code, { suppressed, unusedSuppressions: unused });
+    }
+
+    detectMatches(code, language) {
+        try {
+            const matches = detectFeatures(code, language);
+            if (matches) return matches;
+        } catch (error) {
+            // Unparseable input (e.g. half-typed code in the editor) falls back to line patterns
         }
+        return this.matchPatterns(code, language);
+    }
 
-        const results = [];
+    matchPatterns(code, language) {
+        const matches = [];
         const lines = code.split('\n');
+        const isStylesheet = language === 'css' || language === 'html';
 
         this.features.forEach((feature, id) => {
+            if (!feature.pattern) return;
+            // Stylesheet patterns such as "&" nesting would fire on JavaScript "&&"
+            if (CSS_PATTERN_FEATURES.has(id) && !isStylesheet) return;
+
+            let lineOffset = 0;
             lines.forEach((line, lineIndex) => {
                 const match = line.match(feature.pattern);
                 if (match) {
-                    const result = {
+                    const start = lineOffset + match.index;
+                    matches.push({
                         id,
-                        feature: feature.name,
-                        description: feature.description,
+                        start,
+                        end: start + match[0].length,
                         line: lineIndex + 1,
-                        column: line.indexOf(match[0]) + 1,
-                        code: line.trim(),
-                        status: feature.status,
-                        baseline: feature.baseline,
-                        browsers: feature.browsers,
-                        polyfill: feature.polyfill,
-                        fallback: feature.fallback,
-                        mdn: feature.mdn,
-                        spec: feature.spec,
-                        group: feature.group,
-                        severity: feature.severity,
-                        matchedText: match[0],
-                        // Enhanced data
-                        usage: this.webPlatformData.get(id),
-                        performance: this.performanceData.get(id),
-                        community: this.communityData.get(id)
-                    };
-                    results.push(result);
+                        column: match.index + 1,
+                        endLine: lineIndex + 1,
+                        endColumn: match.index + match[0].length + 1,
+                        matchedText: match[0]
+                    });
                 }
+                lineOffset += line.length + 1;
             });
         });
 
-        return this.enrichResults(results, code);
+        return matches;
+    }
+
+    createIssue(match, lines) {
+        const feature = this.features.get(match.id);
+        const targets = this.getResolvedTargets();
+        const targetSupport = targets ? evaluateSupport(feature.support, targets) : null;
+        const baseline = { low_date: feature.baseline, high_date: feature.baselineHigh };
+        // Statuses are recomputed per issue so a fixed --as-of date applies regardless of when data loaded
+        const status = this.getBaselineStatus(baseline, feature.support);
+        // A Baseline target is a project policy and takes precedence over browser targets for severity
+        const withinBaseline = this.baselineTarget ? meetsBaselineTarget(baseline, this.baselineTarget, this.getAsOf()) : null;
+
+        let severity = this.getSeverity(status);
+        let targetStatus = null;
+        if (withinBaseline !== null) {
+            severity = this.getBaselineTargetSeverity(withinBaseline, status);
+            targetStatus = withinBaseline ? 'supported' : 'unsupported';
+        } else if (targetSupport) {
+            severity = this.getTargetSeverity(targetSupport);
+            targetStatus = this.getTargetStatus(targetSupport);
+        }
+
+        // Uses behind feature detection degrade gracefully, so they are reported one level lower
+        if (match.guarded) severity = this.getGuardedSeverity(severity);
+        severity = this.getRiskSeverity(severity);
+
+        const rule = findRule(feature, this.rules, this.featureGroups);
+        const ruleLevel = ruleSeverity(rule);
+        if (ruleLevel !== undefined) severity = ruleLevel;
+
+        return {
+            id: match.id,
+            feature: feature.name,
+            description: feature.description,
+            line: match.line,
+            column: match.column,
+            endLine: match.endLine,
+            endColumn: match.endColumn,
+            start: match.start,
+            end: match.end,
+            code: lines[match.line - 1].trim(),
+            status,
+            baseline: feature.baseline,
+            baselineHigh: feature.baselineHigh,
+            browsers: targets ? this.formatBrowserSupport(feature.support, Object.keys(targets)) : feature.browsers,
+            polyfill: feature.polyfill,
+            fallback: feature.fallback,
+            mdn: feature.mdn,
+            spec: feature.spec,
+            group: feature.group,
+            severity,
+            targetStatus,
+            rule,
+            guarded: Boolean(match.guarded),
+            unsupportedBrowsers: targetSupport ? targetSupport.unsupported : [],
+            matchedText: match.matchedText,
+            // Enhanced data
+            usage: this.webPlatformData.get(match.id),
+            performance: this.performanceData.get(match.id),
+            community: this.communityData.get(match.id)
+        };
     }
 
-    enrichResults(results, code) {
+    enrichResults(results, code, { suppressed = [], unusedSuppressions = [] } = {}) {
         const riskScore = this.calculateAdvancedRiskScore(results);
         const grouped = this.groupBySeverity(results);
         const suggestions = this.generateAdvancedSuggestions(results);
@@ -422,16 +687,23 @@ class EnhancedBaselineAnalyzer {
                 breakdown: grouped,
                 compatibilityScore: Math.max(0, 100 - riskScore),
                 performanceImpact,
-                adoptionScore: this.calculateAdoptionScore(results)
+                adoptionScore: this.calculateAdoptionScore(results),
+                guarded: results.filter(result => result.guarded).length,
+                unguarded: results.filter(result => !result.guarded).length,
+                suppressed: suppressed.length
             },
             issues: results,
+            suppressed,
+            unusedSuppressions,
             suggestions,
             metadata: {
                 analyzedAt: new Date().toISOString(),
                 linesOfCode: code.split('\n').length,
                 charactersCount: code.length,
-                dataVersion: '2024.1',
-                officialData: this.isDataLoaded
+                dataVersion: this.dataVersion,
+                officialData: this.isOfficialData,
+                targets: this.getResolvedTargets(),
+                baselineTarget: this.getBaselineTarget()
             }
         };
     }
@@ -0,0 +1,366 @@
+// CSS feature detection on a parsed stylesheet.
+// Reports at-rules, selectors, properties and property values against web-features IDs.
+
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+import valueParser from 'postcss-value-parser';
+import { createLocator, createMatch } from './location.js';
+
+const AT_RULE_FEATURES = {
+    container: 'container-queries',
+    layer: 'cascade-layers',
+    scope: 'scope',
+    property: 'registered-custom-properties',
+    'starting-style': 'starting-style',
+    'view-transition': 'cross-document-view-transitions',
+    'font-palette-values': 'font-palette',
+    'position-try': 'anchor-positioning',
+    'counter-style': 'counter-style'
+};
+
+const PSEUDO_FEATURES = {
+    ':has': 'has',
+    ':is': 'is',
+    ':where': 'where',
+    ':focus-visible': 'focus-visible',
+    ':focus-within': 'focus-within',
+    ':user-valid': 'user-pseudos',
+    ':user-invalid': 'user-pseudos',
+    ':popover-open': 'popover',
+    ':modal': 'modal',
+    ':open': 'open-pseudo',
+    ':state': 'state',
+    ':dir': 'dir-pseudo',
+    ':autofill': 'autofill',
+    '::backdrop': 'backdrop',
+    '::part': 'shadow-parts',
+    '::slotted': 'slot',
+    '::marker': 'marker',
+    '::target-text': 'target-text',
+    '::file-selector-button': 'file-selector-button',
+    '::details-content': 'details-content'
+};
+
+const PROPERTY_FEATURES = {
+    'container': 'container-queries',
+    'container-type': 'container-queries',
+    'container-name': 'container-queries',
+    'text-wrap': 'text-wrap',
+    'text-wrap-mode': 'text-wrap',
+    'text-wrap-style': 'text-wrap',
+    'aspect-ratio': 'aspect-ratio',
+    'accent-color': 'accent-color',
+    'anchor-name': 'anchor-positioning',
+    'position-anchor': 'anchor-positioning',
+    'position-area': 'anchor-positioning',
+    'position-try': 'anchor-positioning',
+    'translate': 'individual-transforms',
+    'rotate': 'individual-transforms',
+    'scale': 'individual-transforms',
+    'content-visibility': 'content-visibility',
+    'contain-intrinsic-size': 'contain-intrinsic-size',
+    'overscroll-behavior': 'overscroll-behavior',
+    'field-sizing': 'field-sizing',
+    'interpolate-size': 'interpolate-size',
+    'view-transition-name': 'view-transitions',
+    'view-transition-class': 'view-transition-class',
+    'scrollbar-gutter': 'scrollbar-gutter',
+    'scrollbar-color': 'scrollbar-color',
+    'scrollbar-width': 'scrollbar-width',
+    'backdrop-filter': 'backdrop-filter',
+    'font-size-adjust': 'font-size-adjust',
+    'text-box': 'text-box',
+    'initial-letter': 'initial-letter',
+    'animation-timeline': 'scroll-driven-animations',
+    'scroll-timeline': 'scroll-driven-animations',
+    'view-timeline': 'scroll-driven-animations',
+    'white-space-collapse': 'white-space-collapse',
+    'user-select': 'user-select',
+    'zoom': 'zoom'
+};
+
+// Keyword values that are a feature of their own, keyed by property
+const VALUE_FEATURES = {
+    'text-wrap': { balance: 'text-wrap-balance', pretty: 'text-wrap-pretty' },
+    'text-wrap-style': { balance: 'text-wrap-balance', pretty: 'text-wrap-pretty' },
+    'grid-template-columns': { subgrid: 'subgrid' },
+    'grid-template-rows': { subgrid: 'subgrid' },
+    'overflow': { clip: 'overflow-clip' },
+    'overflow-x': { clip: 'overflow-clip' },
+    'overflow-y': { clip: 'overflow-clip' },
+    'display': { contents: 'display-contents' }
+};
+
+const FUNCTION_FEATURES = {
+    'color-mix': 'color-mix',
+    'oklch': 'oklab',
+    'oklab': 'oklab',
+    'lab': 'lab',
+    'lch': 'lab',
+    'light-dark': 'light-dark',
+    'clamp': 'min-max-clamp',
+    'min': 'min-max-clamp',
+    'max': 'min-max-clamp',
+    'round': 'round-mod-rem',
+    'mod': 'round-mod-rem',
+    'rem': 'round-mod-rem',
+    'sin': 'trig-functions',
+    'cos': 'trig-functions',
+    'tan': 'trig-functions',
+    'asin': 'trig-functions',
+    'acos': 'trig-functions',
+    'atan': 'trig-functions',
+    'atan2': 'trig-functions',
+    'pow': 'exp-functions',
+    'sqrt': 'exp-functions',
+    'hypot': 'exp-functions',
+    'log': 'exp-functions',
+    'exp': 'exp-functions',
+    'abs': 'abs-sign',
+    'sign': 'abs-sign',
+    'calc-size': 'calc-size',
+    'anchor': 'anchor-positioning',
+    'anchor-size': 'anchor-positioning',
+    'conic-gradient': 'conic-gradients',
+    'repeating-conic-gradient': 'conic-gradients',
+    'image-set': 'image-set'
+};
+
+const UNIT_FEATURES = {
+    dvh: 'viewport-unit-variants',
+    dvw: 'viewport-unit-variants',
+    dvi: 'viewport-unit-variants',
+    dvb: 'viewport-unit-variants',
+    svh: 'viewport-unit-variants',
+    svw: 'viewport-unit-variants',
+    lvh: 'viewport-unit-variants',
+    lvw: 'viewport-unit-variants',
+    cqw: 'container-queries',
+    cqh: 'container-queries',
+    cqi: 'container-queries',
+    cqb: 'container-queries',
+    cqmin: 'container-queries',
+    cqmax: 'container-queries',
+    lh: 'lh',
+    rlh: 'rlh',
+    cap: 'cap',
+    ic: 'ic',
+    rex: 'rex'
+};
+
+const MEDIA_RANGE_SYNTAX = /\(\s*[a-z-]+\s*[<>]=?|[<>]=?\s*[a-z-]+\s*\)/i;
+
+export function parseCss(code) {
+    return postcss.parse(code);
+}
+
+export function cssComments(code) {
+    const comments = [];
+    parseCss(code).walkComments(comment => {
+        const start = comment.source.start.offset;
+        // End offsets differ between postcss releases, so find the terminator instead
+        const terminator = code.indexOf('*/', start + 2);
+        const end = terminator === -1 ? code.length : terminator + 2;
+        comments.push({ start, end, body: code.slice(start + 2, terminator === -1 ? end : terminator) });
+    });
+    return comments;
+}
+
+export function detectCssFeatures(code) {
+    const root = parseCss(code);
+    const locator = createLocator(code);
+    const matches = [];
+
+    root.walk(node => {
+        const start = node.source?.start?.offset;
+        if (start === undefined) return;
+
+        const guards = supportsGuards(node);
+        const report = (id, from, to) => {
+            const match = createMatch(id, from, to, code, locator);
+            if (guards.has(id)) match.guarded = true;
+            matches.push(match);
+        };
+
+        switch (node.type) {
+            case 'atrule':
+                detectAtRule(node, start, report);
+                break;
+            case 'rule':
+                detectSelector(node, start, report);
+                break;
+            case 'decl':
+                detectDeclaration(node, start, report);
+                break;
+            default:
+                break;
+        }
+    });
+
+    return matches.sort((a, b) => a.start - b.start);
+}
+
+function intersect(a, b) {
+    return new Set([...a].filter(id => b.has(id)));
+}
+
+// Feature IDs a @supports condition proves present when it passes (`whenTrue`) and when it fails
+// (`whenFalse`), the same way the JavaScript detector reads `if` tests
+function supportsKeys(nodes) {
+    const conditions = [];
+    let operator = 'and';
+    let negated = false;
+
+    nodes.forEach(node => {
+        if (node.type === 'word') {
+            const word = node.value.toLowerCase();
+            if (word === 'not') negated = !negated;
+            if (word === 'or') operator = 'or';
+            return;
+        }
+        if (node.type !== 'function') return;
+
+        const keys = conditionKeys(node);
+        conditions.push(negated ? { whenTrue: keys.whenFalse, whenFalse: keys.whenTrue } : keys);
+        negated = false;
+    });
+
+    if (conditions.length === 0) return { whenTrue: new Set(), whenFalse: new Set() };
+    return conditions.reduce((left, right) => operator === 'and'
+        ? { whenTrue: new Set([...left.whenTrue, ...right.whenTrue]), whenFalse: intersect(left.whenFalse, right.whenFalse) }
+        : { whenTrue: intersect(left.whenTrue, right.whenTrue), whenFalse: new Set([...left.whenFalse, ...right.whenFalse]) });
+}
+
+// A parenthesized condition, a (property: value) test or a selector() test
+function conditionKeys(node) {
+    const ids = new Set();
+    const collect = id => ids.add(id);
+    const name = node.value.toLowerCase();
+
+    if (name === 'selector') {
+        detectSelector({ selector: valueParser.stringify(node.nodes), raws: {} }, 0, collect);
+    } else if (name === '') {
+        const colon = node.nodes.findIndex(child => child.type === 'div' && child.value === ':');
+        if (colon === -1) return supportsKeys(node.nodes);
+        detectDeclaration(postcss.decl({
+            prop: valueParser.stringify(node.nodes.slice(0, colon)).trim(),
+            value: valueParser.stringify(node.nodes.slice(colon + 1)).trim()
+        }), 0, collect);
+    }
+    return { whenTrue: ids, whenFalse: new Set() };
+}
+
+// Rules inside @supports only apply where the browser passed the feature query, so features the
+// query tests (and does not negate) are guarded there
+function supportsGuards(node) {
+    const guards = new Set();
+    for (let parent = node.parent; parent; parent = parent.parent) {
+        if (parent.type === 'atrule' && parent.name.toLowerCase() === 'supports') {
+            supportsKeys(valueParser(parent.params).nodes).whenTrue.forEach(id => guards.add(id));
+        }
+    }
+    return guards;
+}
+
+function isNested(node) {
+    return node.parent?.type === 'rule';
+}
+
+function detectAtRule(atRule, start, report) {
+    const name = atRule.name.toLowerCase();
+    const nameEnd = start + 1 + atRule.name.length;
+    const paramsStart = nameEnd + (atRule.raws.afterName || '').length;
+
+    if (AT_RULE_FEATURES[name]) {
+        report(AT_RULE_FEATURES[name], start, nameEnd);
+    }
+
+    if (name === 'container') {
+        const style = atRule.params.search(/style\s*\(/i);
+        if (style !== -1) report('container-style-queries', paramsStart + style, paramsStart + style + 'style'.length);
+    }
+
+    if (name === 'media' && MEDIA_RANGE_SYNTAX.test(atRule.params)) {
+        report('media-query-range-syntax', paramsStart, paramsStart + atRule.params.length);
+    }
+
+    if (name === 'import') {
+        const layer = atRule.params.search(/\blayer\b/i);
+        if (layer !== -1) report('cascade-layers', paramsStart + layer, paramsStart + layer + 'layer'.length);
+    }
+
+    // Conditional rules written inside a style rule rely on nesting
+    if (isNested(atRule)) {
+        report('nesting', start, nameEnd);
+    }
+}
+
+function detectSelector(rule, start, report) {
+    const selector = rule.raws.selector?.raw ?? rule.selector;
+    let hasNestingSelector = false;
+
+    selectorParser(selectors => {
+        selectors.walk(node => {
+            const offset = start + node.sourceIndex;
+
+            if (node.type === 'nesting') {
+                hasNestingSelector = true;
+                report('nesting', offset, offset + 1);
+                return;
+            }
+
+            if (node.type !== 'pseudo') return;
+
+            const pseudo = node.value.toLowerCase();
+            const id = pseudo.startsWith('::view-transition') ? 'view-transitions' : PSEUDO_FEATURES[pseudo];
+            if (id) report(id, offset, offset + node.value.length);
+
+            if (pseudo === ':not' && node.nodes.length > 1) {
+                report('not', offset, offset + node.value.length);
+            }
+            if ((pseudo === ':nth-child' || pseudo === ':nth-last-child') && /\sof\s/i.test(node.toString())) {
+                report('nth-child-of', offset, offset + node.value.length);
+            }
+        });
+    }).processSync(selector);
+
+    // A nested rule without "&" is still nesting (relative selector form)
+    if (isNested(rule) && !hasNestingSelector) {
+        report('nesting', start, start + selector.trim().length);
+    }
+}
+
+function detectDeclaration(decl, start, report) {
+    const prop = decl.prop.toLowerCase();
+    const propEnd = start + decl.prop.length;
+
+    if (PROPERTY_FEATURES[prop]) {
+        report(PROPERTY_FEATURES[prop], start, propEnd);
+    }
+
+    const value = decl.raws.value?.raw ?? decl.value;
+    const valueStart = propEnd + (decl.raws.between || ':').length;
+    const keywords = VALUE_FEATURES[prop] || {};
+
+    valueParser(value).walk(node => {
+        const offset = valueStart + node.sourceIndex;
+
+        if (node.type === 'function') {
+            const id = FUNCTION_FEATURES[node.value.toLowerCase()];
+            if (id) report(id, offset, offset + node.value.length);
+            return;
+        }
+
+        if (node.type !== 'word') return;
+
+        const keywordId = keywords[node.value.toLowerCase()];
+        if (keywordId) {
+            report(keywordId, offset, offset + node.value.length);
+            return;
+        }
+
+        const dimension = valueParser.unit(node.value);
+        const unitId = dimension && UNIT_FEATURES[dimension.unit.toLowerCase()];
+        if (unitId) report(unitId, offset, offset + node.value.length);
+    });
+}
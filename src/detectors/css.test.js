@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCssFeatures } from './css.js';
+
+const ids = code => detectCssFeatures(code).map(match => match.id);
+const guarded = code => detectCssFeatures(code).map(match => `${match.id}${match.guarded ? ' (guarded)' : ''}`);
+
+test('reports at-rules, selectors, properties, values and units', () => {
+    assert.deepEqual(ids('@layer base;'), ['cascade-layers']);
+    assert.deepEqual(ids('.a:has(> img) {}'), ['has']);
+    assert.deepEqual(ids('.a { aspect-ratio: 1; }'), ['aspect-ratio']);
+    assert.deepEqual(ids('.a { text-wrap: balance; }'), ['text-wrap', 'text-wrap-balance']);
+    assert.deepEqual(ids('.a { height: 100dvh; }'), ['viewport-unit-variants']);
+    assert.deepEqual(ids('.a { .b { color: red; } }'), ['nesting']);
+});
+
+test('downgrades uses inside @supports queries that test the feature', () => {
+    assert.deepEqual(guarded('@supports (container-type: inline-size) { .a { container-type: size; } }'), ['container-queries (guarded)']);
+    assert.deepEqual(guarded('@supports selector(:has(*)) { .a:has(> img) {} }'), ['has (guarded)']);
+    assert.deepEqual(guarded('@supports (aspect-ratio: 1) and (display: grid) { .a { aspect-ratio: 1; } }'), ['aspect-ratio (guarded)']);
+    assert.deepEqual(guarded('@supports not (not (aspect-ratio: 1)) { .a { aspect-ratio: 1; } }'), ['aspect-ratio (guarded)']);
+});
+
+test('does not downgrade uses behind a negated query', () => {
+    assert.deepEqual(guarded('@supports not (container-type: inline-size) { .a { container-type: size; } }'), ['container-queries']);
+    assert.deepEqual(guarded('@supports not selector(:has(*)) { .a:has(> img) {} }'), ['has']);
+    assert.deepEqual(guarded('@supports (display: grid) and (not (aspect-ratio: 1)) { .a { aspect-ratio: 1; } }'), ['aspect-ratio']);
+});
+
+test('does not downgrade uses behind a query for another feature', () => {
+    assert.deepEqual(guarded('@supports (display: grid) { .a { aspect-ratio: 1; } }'), ['aspect-ratio']);
+    assert.deepEqual(guarded('@supports (aspect-ratio: 1) or (display: grid) { .a { aspect-ratio: 1; } }'), ['aspect-ratio']);
+    assert.deepEqual(guarded('@supports (aspect-ratio: 1) { .a:has(> img) { aspect-ratio: 1; } }'), ['has', 'aspect-ratio (guarded)']);
+});
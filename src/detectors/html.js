@@ -0,0 +1,226 @@
+// HTML document feature detection.
+// Elements, attributes and input types are matched on the parse5 tree; inline <script>,
+// <style>, style="" and on*="" content is handed to the JavaScript and CSS detectors.
+
+import { parse } from 'parse5';
+import { cssComments, detectCssFeatures } from './css.js';
+import { detectJavaScriptFeatures, javaScriptComments } from './javascript.js';
+import { createLocator, createMatch, relocateMatches } from './location.js';
+
+const ELEMENT_FEATURES = {
+    dialog: 'dialog',
+    search: 'search',
+    details: 'details',
+    picture: 'picture',
+    template: 'template',
+    slot: 'slot',
+    datalist: 'datalist',
+    meter: 'meter',
+    progress: 'progress',
+    output: 'output',
+    selectedcontent: 'customizable-select',
+    fencedframe: 'fencedframe'
+};
+
+const GLOBAL_ATTRIBUTE_FEATURES = {
+    popover: 'popover',
+    popovertarget: 'popover',
+    popovertargetaction: 'popover',
+    inert: 'inert',
+    inputmode: 'inputmode',
+    enterkeyhint: 'enterkeyhint',
+    fetchpriority: 'fetch-priority',
+    blocking: 'blocking-render',
+    command: 'invoker-commands',
+    commandfor: 'invoker-commands',
+    writingsuggestions: 'writingsuggestions'
+};
+
+const ELEMENT_ATTRIBUTE_FEATURES = {
+    img: { loading: 'loading-lazy' },
+    iframe: { loading: 'loading-lazy' },
+    video: { loading: 'loading-lazy-media' },
+    audio: { loading: 'loading-lazy-media' },
+    dialog: { closedby: 'dialog-closedby' },
+    details: { name: 'details-name' },
+    template: { shadowrootmode: 'declarative-shadow-dom' }
+};
+
+// Attribute values that are a feature of their own, as "attribute=value"
+const ATTRIBUTE_VALUE_FEATURES = {
+    'popover=hint': 'popover-hint',
+    'hidden=until-found': 'hidden-until-found',
+    'sizes=auto': 'sizes-auto'
+};
+
+const INPUT_TYPE_FEATURES = {
+    'date': 'input-date-time',
+    'time': 'input-date-time',
+    'datetime-local': 'input-date-time',
+    'month': 'input-date-time-month',
+    'week': 'input-date-time-week',
+    'color': 'input-color',
+    'range': 'input-range',
+    'number': 'input-number',
+    'email': 'input-email-tel-url',
+    'tel': 'input-email-tel-url',
+    'url': 'input-email-tel-url',
+    'search': 'search-input-type'
+};
+
+const SCRIPT_TYPE_FEATURES = {
+    module: 'js-modules',
+    importmap: 'import-maps',
+    speculationrules: 'speculation-rules'
+};
+
+const LINK_REL_FEATURES = {
+    modulepreload: 'modulepreload',
+    preload: 'link-rel-preload',
+    expect: 'link-rel-expect'
+};
+
+const JAVASCRIPT_TYPES = new Set(['', 'module', 'text/javascript', 'application/javascript', 'text/ecmascript']);
+
+export function detectHtmlFeatures(code) {
+    const document = parse(code, { sourceCodeLocationInfo: true });
+    const locator = createLocator(code);
+    const matches = [];
+    const report = (id, start, end) => matches.push(createMatch(id, start, end, code, locator));
+    const embed = (detector, start, end) => {
+        try {
+            matches.push(...relocateMatches(detector(code.slice(start, end)), start, code, locator));
+        } catch (error) {
+            // A broken inline block should not hide findings in the rest of the document
+        }
+    };
+
+    walkElements(document, element => {
+        const location = element.sourceCodeLocation;
+        if (!location?.startTag) return;
+
+        const tag = element.tagName;
+        const tagStart = location.startTag.startOffset + 1;
+        const attrs = Object.fromEntries(element.attrs.map(attr => [attr.name, attr.value]));
+        const attrLocation = name => location.startTag.attrs?.[name];
+
+        if (ELEMENT_FEATURES[tag]) {
+            report(ELEMENT_FEATURES[tag], tagStart, tagStart + tag.length);
+        }
+
+        element.attrs.forEach(({ name, value }) => {
+            const range = attrLocation(name);
+            if (!range) return;
+
+            const id = GLOBAL_ATTRIBUTE_FEATURES[name] || ELEMENT_ATTRIBUTE_FEATURES[tag]?.[name];
+            if (id) report(id, range.startOffset, range.endOffset);
+
+            const valueId = ATTRIBUTE_VALUE_FEATURES[`${name}=${value.trim().toLowerCase()}`];
+            if (valueId) report(valueId, range.startOffset, range.endOffset);
+
+            if (name === 'style') {
+                const valueRange = attributeValueRange(code, range);
+                if (valueRange) embed(detectCssFeatures, valueRange.start, valueRange.end);
+            } else if (name.startsWith('on')) {
+                const valueRange = attributeValueRange(code, range);
+                if (valueRange) embed(detectJavaScriptFeatures, valueRange.start, valueRange.end);
+            }
+        });
+
+        if (tag === 'input' && INPUT_TYPE_FEATURES[attrs.type?.toLowerCase()]) {
+            const range = attrLocation('type');
+            report(INPUT_TYPE_FEATURES[attrs.type.toLowerCase()], range.startOffset, range.endOffset);
+        }
+
+        if (tag === 'link' && attrs.rel) {
+            const range = attrLocation('rel');
+            attrs.rel.toLowerCase().split(/\s+/).forEach(rel => {
+                if (LINK_REL_FEATURES[rel]) report(LINK_REL_FEATURES[rel], range.startOffset, range.endOffset);
+            });
+        }
+
+        if (tag === 'script') {
+            const type = (attrs.type || '').trim().toLowerCase();
+            if (SCRIPT_TYPE_FEATURES[type]) {
+                const range = attrLocation('type');
+                report(SCRIPT_TYPE_FEATURES[type], range.startOffset, range.endOffset);
+            }
+
+            const text = textContentRange(element);
+            if (text && JAVASCRIPT_TYPES.has(type)) embed(detectJavaScriptFeatures, text.start, text.end);
+        }
+
+        if (tag === 'style') {
+            const text = textContentRange(element);
+            if (text) embed(detectCssFeatures, text.start, text.end);
+        }
+    });
+
+    return matches.sort((a, b) => a.start - b.start);
+}
+
+// HTML comments plus the comments of inline <script> and <style> blocks
+export function htmlComments(code) {
+    const document = parse(code, { sourceCodeLocationInfo: true });
+    const comments = [];
+    const embed = (collect, start, end) => {
+        try {
+            comments.push(...collect(code.slice(start, end)).map(comment => ({
+                ...comment,
+                start: start + comment.start,
+                end: start + comment.end
+            })));
+        } catch (error) {
+            // Same as detection: a broken inline block does not affect the rest of the document
+        }
+    };
+
+    walkNodes(document, node => {
+        const location = node.sourceCodeLocation;
+        if (node.nodeName === '#comment' && location) {
+            comments.push({ start: location.startOffset, end: location.endOffset, body: node.data });
+        } else if (node.tagName === 'script' && JAVASCRIPT_TYPES.has((node.attrs.find(attr => attr.name === 'type')?.value || '').trim().toLowerCase())) {
+            const text = textContentRange(node);
+            if (text) embed(javaScriptComments, text.start, text.end);
+        } else if (node.tagName === 'style') {
+            const text = textContentRange(node);
+            if (text) embed(cssComments, text.start, text.end);
+        }
+    });
+
+    return comments.sort((a, b) => a.start - b.start);
+}
+
+function walkNodes(node, visit) {
+    visit(node);
+    (node.childNodes || []).forEach(child => walkNodes(child, visit));
+    if (node.content) walkNodes(node.content, visit);
+}
+
+function walkElements(node, visit) {
+    if (node.tagName) visit(node);
+    (node.childNodes || []).forEach(child => walkElements(child, visit));
+    // <template> children live in a separate document fragment
+    if (node.content) walkElements(node.content, visit);
+}
+
+function textContentRange(element) {
+    const text = element.childNodes.find(child => child.nodeName === '#text');
+    const location = text?.sourceCodeLocation;
+    return location ? { start: location.startOffset, end: location.endOffset } : null;
+}
+
+function attributeValueRange(code, location) {
+    const raw = code.slice(location.startOffset, location.endOffset);
+    const equals = raw.indexOf('=');
+    if (equals === -1) return null;
+
+    let start = equals + 1;
+    let end = raw.length;
+    while (/\s/.test(raw[start])) start++;
+    if (raw[start] === '"' || raw[start] === "'") {
+        start++;
+        end--;
+    }
+    return { start: location.startOffset + start, end: location.startOffset + end };
+}
@@ -0,0 +1,46 @@
+// Language dispatch for syntax-aware feature detection.
+// Returns null for languages without a detector so callers can fall back to line patterns.
+
+import { cssComments, detectCssFeatures } from './css.js';
+import { detectHtmlFeatures, htmlComments } from './html.js';
+import { detectJavaScriptFeatures, javaScriptComments } from './javascript.js';
+
+export function detectFeatures(code, language) {
+    switch (language) {
+        case 'javascript':
+        case 'javascriptreact':
+        case 'jsx':
+            return detectJavaScriptFeatures(code);
+        case 'typescript':
+        case 'typescriptreact':
+        case 'tsx':
+            return detectJavaScriptFeatures(code, { typescript: true });
+        case 'css':
+            return detectCssFeatures(code);
+        case 'html':
+            return detectHtmlFeatures(code);
+        default:
+            return null;
+    }
+}
+
+// Comments as the language's parser sees them, so comment markers inside strings and URLs are not
+// taken for comments. Null for languages without a parser.
+export function collectComments(code, language) {
+    switch (language) {
+        case 'javascript':
+        case 'javascriptreact':
+        case 'jsx':
+            return javaScriptComments(code);
+        case 'typescript':
+        case 'typescriptreact':
+        case 'tsx':
+            return javaScriptComments(code, { typescript: true });
+        case 'css':
+            return cssComments(code);
+        case 'html':
+            return htmlComments(code);
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,467 @@
+// JavaScript / TypeScript feature detection on the syntax tree.
+// Works on @babel/parser output so it runs unchanged in Node and in the browser dashboard.
+
+import { parse } from '@babel/parser';
+import { createLocator, createMatch } from './location.js';
+
+// Globals whose reference alone means the feature is in use
+const GLOBAL_FEATURES = {
+    Temporal: 'temporal',
+    HTMLDialogElement: 'dialog',
+    structuredClone: 'structured-clone',
+    BroadcastChannel: 'broadcast-channel',
+    WeakRef: 'weak-references',
+    FinalizationRegistry: 'weak-references',
+    BigInt: 'bigint',
+    globalThis: 'globalthis',
+    fetch: 'fetch'
+};
+
+// Static members of built-ins, e.g. Object.hasOwn
+const STATIC_MEMBER_FEATURES = {
+    'Object.hasOwn': 'object-hasown',
+    'Object.groupBy': 'array-group',
+    'Map.groupBy': 'array-group',
+    'Promise.any': 'promise-any',
+    'Promise.allSettled': 'promise-allsettled',
+    'Promise.withResolvers': 'promise-withresolvers',
+    'Promise.try': 'promise-try',
+    'Array.fromAsync': 'array-fromasync',
+    'URL.canParse': 'url-canparse',
+    'AbortSignal.timeout': 'abortsignal-timeout',
+    'Intl.Segmenter': 'intl-segmenter',
+    'RegExp.escape': 'regexp-escape'
+};
+
+// Instance method calls. There is no type information, so the method name decides.
+const METHOD_CALL_FEATURES = {
+    at: 'array-at',
+    findLast: 'array-findlast',
+    findLastIndex: 'array-findlast',
+    toSorted: 'array-by-copy',
+    toReversed: 'array-by-copy',
+    toSpliced: 'array-by-copy',
+    flat: 'array-flat',
+    flatMap: 'array-flat',
+    replaceAll: 'string-replaceall',
+    showModal: 'dialog'
+};
+
+const LOGICAL_ASSIGNMENT_OPERATORS = ['??=', '||=', '&&='];
+
+export const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration',
+    'FunctionExpression',
+    'ArrowFunctionExpression',
+    'ObjectMethod',
+    'ClassMethod',
+    'ClassPrivateMethod'
+]);
+
+// Nodes whose let / const / class / function declarations are scoped to them
+const BLOCK_SCOPES = new Set(['Program', 'BlockStatement', 'StaticBlock', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'SwitchStatement']);
+
+const SKIPPED_KEYS = new Set(['loc', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens']);
+
+export function parseJavaScript(code, { typescript = false } = {}) {
+    const options = {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        allowAwaitOutsideFunction: true,
+        allowReturnOutsideFunction: true,
+        allowImportExportEverywhere: true,
+        allowUndeclaredExports: true
+    };
+
+    // TypeScript angle-bracket casts and JSX cannot share a parse, so try both
+    const pluginSets = typescript ? [['typescript'], ['typescript', 'jsx']] : [['jsx']];
+    let lastError;
+    for (const plugins of pluginSets) {
+        try {
+            return parse(code, { ...options, plugins });
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+// Comments as { start, end, body }, where body is the text between the comment delimiters
+export function javaScriptComments(code, options = {}) {
+    return parseJavaScript(code, options).comments.map(comment => ({ start: comment.start, end: comment.end, body: comment.value }));
+}
+
+export function walk(node, visit, ancestors = []) {
+    visit(node, ancestors);
+    ancestors.push(node);
+    Object.keys(node).forEach(key => {
+        if (SKIPPED_KEYS.has(key)) return;
+        const child = node[key];
+        if (Array.isArray(child)) {
+            child.forEach(item => isNode(item) && walk(item, visit, ancestors));
+        } else if (isNode(child)) {
+            walk(child, visit, ancestors);
+        }
+    });
+    ancestors.pop();
+}
+
+function isNode(value) {
+    return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+export function memberPath(node) {
+    if (node.type === 'Identifier') return node.name;
+    if ((node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') && !node.computed) {
+        const object = memberPath(node.object);
+        return object && node.property.type === 'Identifier' ? `${object}.${node.property.name}` : null;
+    }
+    return null;
+}
+
+function isReference(node, parent) {
+    if (!parent) return true;
+    switch (parent.type) {
+        case 'MemberExpression':
+        case 'OptionalMemberExpression':
+            return parent.object === node || parent.computed;
+        case 'ObjectProperty':
+        case 'ClassProperty':
+        case 'ObjectMethod':
+        case 'ClassMethod':
+            return parent.value === node || (parent.computed && parent.key === node);
+        case 'VariableDeclarator':
+            return parent.init === node;
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ClassDeclaration':
+        case 'ImportSpecifier':
+        case 'ImportDefaultSpecifier':
+        case 'ExportSpecifier':
+        case 'LabeledStatement':
+        case 'TSTypeReference':
+        case 'TSQualifiedName':
+            return false;
+        case 'UnaryExpression':
+            // typeof X is a presence check, not a use
+            return parent.operator !== 'typeof';
+        default:
+            return true;
+    }
+}
+
+// Names bound by a declaration or parameter pattern: x, { a, b: c }, [d, ...e], f = 1
+function patternNames(pattern, names = []) {
+    if (!pattern) return names;
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.name);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(property => patternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => patternNames(element, names));
+            break;
+        case 'RestElement':
+            patternNames(pattern.argument, names);
+            break;
+        case 'AssignmentPattern':
+            patternNames(pattern.left, names);
+            break;
+        case 'TSParameterProperty':
+            patternNames(pattern.parameter, names);
+            break;
+        default:
+            break;
+    }
+    return names;
+}
+
+// Names declared in each scope node (functions, blocks, catch clauses, the program), so a local
+// `fetch` or `Temporal` is not mistaken for the global
+function collectBindings(program) {
+    const bindings = new Map();
+    const declare = (scope, pattern) => {
+        if (!scope) return;
+        if (!bindings.has(scope)) bindings.set(scope, new Set());
+        patternNames(pattern).forEach(name => bindings.get(scope).add(name));
+    };
+    const nearest = (ancestors, types) => [...ancestors].reverse().find(ancestor => types.has(ancestor.type));
+    const functionScopes = new Set([...FUNCTION_TYPES, 'Program']);
+
+    walk(program, (node, ancestors) => {
+        if (FUNCTION_TYPES.has(node.type)) {
+            node.params.forEach(param => declare(node, param));
+            // A function expression's own name is visible inside it only
+            if (node.type === 'FunctionExpression') declare(node, node.id);
+        }
+
+        switch (node.type) {
+            case 'VariableDeclaration':
+                // var is hoisted to the enclosing function
+                node.declarations.forEach(declarator => declare(nearest(ancestors, node.kind === 'var' ? functionScopes : BLOCK_SCOPES), declarator.id));
+                break;
+            case 'FunctionDeclaration':
+            case 'ClassDeclaration':
+                declare(nearest(ancestors, BLOCK_SCOPES), node.id);
+                break;
+            case 'ClassExpression':
+                declare(node, node.id);
+                break;
+            case 'CatchClause':
+                declare(node, node.param);
+                break;
+            case 'ImportDeclaration':
+                node.specifiers.forEach(specifier => declare(program, specifier.local));
+                break;
+            default:
+                break;
+        }
+    });
+    return bindings;
+}
+
+function isLocal(name, ancestors, bindings) {
+    return ancestors.some(ancestor => bindings.get(ancestor)?.has(name));
+}
+
+const EQUALITY_OPERATORS = new Set(['===', '==', '!==', '!=']);
+
+function isNullish(node) {
+    return node.type === 'NullLiteral' || (node.type === 'Identifier' && node.name === 'undefined')
+        || (node.type === 'UnaryExpression' && node.operator === 'void');
+}
+
+function unwrapTypeScript(node) {
+    while (node.type === 'TSAsExpression' || node.type === 'TSNonNullExpression' || node.type === 'TSSatisfiesExpression') node = node.expression;
+    return node;
+}
+
+function intersect(a, b) {
+    return new Set([...a].filter(key => b.has(key)));
+}
+
+// Names a feature-detection test proves present when it is true (`whenTrue`) and when it is false
+// (`whenFalse`): typeof X !== 'undefined', 'x' in obj, obj.x / obj?.x / X truthiness, X != null,
+// and their negations. CSS.supports(...) guards its whole branch and yields "*".
+export function collectGuardKeys(test) {
+    const node = unwrapTypeScript(test);
+    const none = { whenTrue: new Set(), whenFalse: new Set() };
+    const present = names => ({ whenTrue: new Set(names), whenFalse: new Set() });
+    const swap = ({ whenTrue, whenFalse }) => ({ whenTrue: whenFalse, whenFalse: whenTrue });
+
+    switch (node.type) {
+        case 'UnaryExpression':
+            return node.operator === '!' ? swap(collectGuardKeys(node.argument)) : none;
+
+        case 'LogicalExpression': {
+            const left = collectGuardKeys(node.left);
+            const right = collectGuardKeys(node.right);
+            // a && b is true only when both are; a || b is false only when both are
+            if (node.operator === '&&') {
+                return { whenTrue: new Set([...left.whenTrue, ...right.whenTrue]), whenFalse: intersect(left.whenFalse, right.whenFalse) };
+            }
+            if (node.operator === '||') {
+                return { whenTrue: intersect(left.whenTrue, right.whenTrue), whenFalse: new Set([...left.whenFalse, ...right.whenFalse]) };
+            }
+            return none;
+        }
+
+        case 'BinaryExpression': {
+            if (node.operator === 'in') {
+                return node.left.type === 'StringLiteral' ? present([node.left.value]) : none;
+            }
+            if (!EQUALITY_OPERATORS.has(node.operator)) return none;
+
+            const negated = node.operator.startsWith('!');
+            const [checked, other] = node.right.type === 'UnaryExpression' && node.right.operator === 'typeof'
+                ? [unwrapTypeScript(node.right), node.left]
+                : [unwrapTypeScript(node.left), node.right];
+            let keys = none;
+            if (checked.type === 'UnaryExpression' && checked.operator === 'typeof' && other.type === 'StringLiteral') {
+                const path = memberPath(checked.argument);
+                // typeof X === 'undefined' holds where X is missing; comparing with any other type where it exists
+                const equalMeansPresent = other.value !== 'undefined';
+                if (path) keys = swapIf(present(path.split('.')), !equalMeansPresent);
+            } else if (isNullish(other) || isNullish(checked)) {
+                keys = swapIf(presenceKeys(isNullish(other) ? checked : other), true);
+            }
+            return swapIf(keys, negated);
+        }
+
+        case 'CallExpression':
+        case 'OptionalCallExpression':
+            return memberPath(node.callee) === 'CSS.supports' ? present(['*']) : none;
+
+        default:
+            return presenceKeys(node);
+    }
+
+    function swapIf(keys, condition) {
+        return condition ? swap(keys) : keys;
+    }
+}
+
+// Truthiness of obj.x, obj?.x or X; every part of a member path is then known to exist
+function presenceKeys(node) {
+    const path = memberPath(node);
+    const none = { whenTrue: new Set(), whenFalse: new Set() };
+    if (path) return { whenTrue: new Set(path.split('.')), whenFalse: new Set() };
+    if ((node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') && !node.computed && node.property.type === 'Identifier') {
+        return { whenTrue: new Set([node.property.name]), whenFalse: new Set() };
+    }
+    return none;
+}
+
+// The test and the branch of a conditional construct that runs when the test is true or false
+function guardedBranch(ancestor, child) {
+    switch (ancestor.type) {
+        case 'IfStatement':
+        case 'ConditionalExpression':
+            if (ancestor.consequent === child) return { test: ancestor.test, when: 'whenTrue' };
+            if (ancestor.alternate === child) return { test: ancestor.test, when: 'whenFalse' };
+            return null;
+        case 'LogicalExpression':
+            if (ancestor.right !== child) return null;
+            if (ancestor.operator === '&&') return { test: ancestor.left, when: 'whenTrue' };
+            if (ancestor.operator === '||') return { test: ancestor.left, when: 'whenFalse' };
+            return null;
+        default:
+            return null;
+    }
+}
+
+// Whether `node` only runs behind a check for one of `names`
+function isGuarded(node, ancestors, names) {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+        const branch = guardedBranch(ancestors[i], ancestors[i + 1] || node);
+        if (!branch) continue;
+
+        const keys = collectGuardKeys(branch.test)[branch.when];
+        if (keys.has('*') || names.some(name => keys.has(name))) return true;
+    }
+    return false;
+}
+
+// Whether a reference only tests for the feature: typeof X, !X, X == null, or the truthiness of X
+// as (part of) a condition. Calls are uses even inside a condition.
+function isPresenceCheck(node, ancestors) {
+    let current = node;
+    let checked = false;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+        const parent = ancestors[i];
+        if (parent.type === 'UnaryExpression' && (parent.operator === 'typeof' || parent.operator === '!')) {
+            checked = true;
+        } else if (parent.type === 'BinaryExpression' && EQUALITY_OPERATORS.has(parent.operator)) {
+            checked = true;
+        } else if (parent.type === 'LogicalExpression') {
+            // The left operand of && only decides whether the right one runs
+            if (parent.left === current && parent.operator === '&&') checked = true;
+        } else if (parent.type === 'TSAsExpression' || parent.type === 'TSNonNullExpression') {
+            // Transparent
+        } else {
+            const isTest = (parent.type === 'IfStatement' || parent.type === 'ConditionalExpression' || parent.type === 'WhileStatement'
+                || parent.type === 'DoWhileStatement' || parent.type === 'ForStatement') && parent.test === current;
+            return checked || isTest;
+        }
+        // `typeof X` and comparisons produce a value, so nothing above them uses X itself
+        if (checked && parent.type !== 'LogicalExpression') return true;
+        current = parent;
+    }
+    return checked;
+}
+
+export function detectJavaScriptFeatures(code, options = {}) {
+    const ast = parseJavaScript(code, options);
+    const bindings = collectBindings(ast.program);
+    const locator = createLocator(code);
+    const matches = [];
+    const report = (id, start, end, guarded = false) => {
+        const match = createMatch(id, start, end, code, locator);
+        if (guarded) match.guarded = true;
+        matches.push(match);
+    };
+
+    walk(ast.program, (node, ancestors) => {
+        const parent = ancestors[ancestors.length - 1];
+
+        if ((node.type === 'OptionalMemberExpression' || node.type === 'OptionalCallExpression') && node.optional) {
+            const before = node.type === 'OptionalMemberExpression' ? node.object : node.callee;
+            const operator = code.indexOf('?.', before.end);
+            if (operator !== -1) report('optional-chaining', operator, operator + 2);
+        }
+
+        switch (node.type) {
+            case 'LogicalExpression':
+                if (node.operator === '??') {
+                    const operator = code.indexOf('??', node.left.end);
+                    if (operator !== -1) report('nullish-coalescing', operator, operator + 2);
+                }
+                break;
+
+            case 'AssignmentExpression':
+                if (LOGICAL_ASSIGNMENT_OPERATORS.includes(node.operator)) {
+                    const operator = code.indexOf(node.operator, node.left.end);
+                    if (operator !== -1) report('logical-assignments', operator, operator + node.operator.length);
+                }
+                break;
+
+            case 'CallExpression':
+            case 'OptionalCallExpression': {
+                const callee = node.callee;
+                const isMember = callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression';
+                if (isMember && !callee.computed && callee.property.type === 'Identifier') {
+                    const id = METHOD_CALL_FEATURES[callee.property.name];
+                    // obj.method?.() only calls the method where it exists
+                    const guarded = node.optional || isGuarded(node, ancestors, [callee.property.name]);
+                    if (id) report(id, callee.property.start, node.end, guarded);
+                }
+                break;
+            }
+
+            case 'MemberExpression':
+            case 'OptionalMemberExpression': {
+                const path = memberPath(node);
+                const id = STATIC_MEMBER_FEATURES[path];
+                // Assigning installs a polyfill rather than using the feature
+                const isAssigned = parent?.type === 'AssignmentExpression' && parent.operator === '=' && parent.left === node;
+                if (!id || isAssigned || isLocal(path.split('.')[0], ancestors, bindings) || isPresenceCheck(node, ancestors)) break;
+                report(id, node.start, node.end, isGuarded(node, ancestors, [path.split('.').pop()]));
+                break;
+            }
+
+            case 'Identifier': {
+                const id = GLOBAL_FEATURES[node.name];
+                if (!id || !isReference(node, parent) || isLocal(node.name, ancestors, bindings) || isPresenceCheck(node, ancestors)) break;
+                report(id, node.start, node.end, isGuarded(node, ancestors, [node.name]));
+                break;
+            }
+
+            case 'NumericLiteral':
+                if (node.extra?.raw?.includes('_')) report('numeric-separators', node.start, node.end);
+                break;
+
+            case 'BigIntLiteral':
+                report('bigint', node.start, node.end);
+                break;
+
+            case 'AwaitExpression':
+                if (!ancestors.some(ancestor => FUNCTION_TYPES.has(ancestor.type))) {
+                    report('top-level-await', node.start, node.start + 'await'.length);
+                }
+                break;
+
+            case 'JSXOpeningElement':
+                if (node.name.type === 'JSXIdentifier' && node.name.name === 'dialog') {
+                    report('dialog', node.name.start, node.name.end);
+                }
+                break;
+
+            default:
+                break;
+        }
+    });
+
+    return matches.sort((a, b) => a.start - b.start);
+}
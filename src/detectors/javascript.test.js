@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectJavaScriptFeatures } from './javascript.js';
+
+const ids = (code, options) => detectJavaScriptFeatures(code, options).map(match => match.id);
+
+test('reports globals, static members, method calls and syntax', () => {
+    assert.deepEqual(ids('fetch(url);'), ['fetch']);
+    assert.deepEqual(ids('Object.hasOwn(o, k);'), ['object-hasown']);
+    assert.deepEqual(ids('list.at(-1);'), ['array-at']);
+    assert.deepEqual(ids('a ?? b;'), ['nullish-coalescing']);
+    assert.deepEqual(ids('a?.b;'), ['optional-chaining']);
+    assert.deepEqual(ids('const n = 1_000;'), ['numeric-separators']);
+    assert.deepEqual(ids('x ||= 1;'), ['logical-assignments']);
+});
+
+test('locates matches by line and column', () => {
+    const [match] = detectJavaScriptFeatures('const a = 1;\nconst b = list.at(0);');
+    assert.equal(match.line, 2);
+    assert.equal(match.column, 16);
+    assert.equal(match.matchedText, 'at(0)');
+});
+
+test('parses TypeScript and JSX', () => {
+    assert.deepEqual(ids('const x: number = <number>y ?? 0;', { typescript: true }), ['nullish-coalescing']);
+    assert.deepEqual(ids('const el = <dialog open />;'), ['dialog']);
+});
+
+test('ignores names that are not references to the global', () => {
+    assert.deepEqual(ids('api.fetch(url);'), []);
+    assert.deepEqual(ids('const o = { fetch: 1 };'), []);
+    assert.deepEqual(ids("import fetch from 'node-fetch';\nfetch(url);"), []);
+});
+
+test('ignores local bindings that shadow a global', () => {
+    assert.deepEqual(ids('const { fetch } = api;\nfetch(url);'), []);
+    assert.deepEqual(ids('const [fetch] = clients;\nfetch(url);'), []);
+    assert.deepEqual(ids('function load(fetch) { return fetch(url); }'), []);
+    assert.deepEqual(ids('const load = ({ fetch }) => fetch(url);'), []);
+    assert.deepEqual(ids('const load = (request = fetch) => request(url);'), ['fetch']);
+    assert.deepEqual(ids('function run() { var fetch = stub; if (ok) { fetch(url); } }'), []);
+    assert.deepEqual(ids('try { run(); } catch (structuredClone) { structuredClone(); }'), []);
+    assert.deepEqual(ids('const Object = shim;\nObject.hasOwn(o, k);'), []);
+});
+
+test('scopes block bindings to their block', () => {
+    assert.deepEqual(ids('{ const fetch = stub; fetch(url); }\nfetch(url);'), ['fetch']);
+    assert.deepEqual(ids('function wrap(fetch) {}\nfetch(url);'), ['fetch']);
+});
+
+const guarded = code => detectJavaScriptFeatures(code).map(match => `${match.id}${match.guarded ? ' (guarded)' : ''}`);
+
+test('downgrades uses behind a positive feature check', () => {
+    assert.deepEqual(guarded("if (typeof Temporal !== 'undefined') { Temporal.Now.instant(); }"), ['temporal (guarded)']);
+    assert.deepEqual(guarded("if ('showModal' in d) { d.showModal(); }"), ['dialog (guarded)']);
+    assert.deepEqual(guarded("if (typeof d.showModal === 'function') d.showModal();"), ['dialog (guarded)']);
+    assert.deepEqual(guarded('const clone = window.structuredClone ? structuredClone(x) : copy(x);'), ['structured-clone (guarded)']);
+    assert.deepEqual(guarded('Object.hasOwn && Object.hasOwn(o, k);'), ['object-hasown (guarded)']);
+    assert.deepEqual(guarded("if (CSS.supports('selector(:has(*))')) { list.at(-1); }"), ['array-at (guarded)']);
+});
+
+test('downgrades uses in the else branch of a negated check', () => {
+    assert.deepEqual(guarded("if (typeof Temporal === 'undefined') { load(); } else { Temporal.Now.instant(); }"), ['temporal (guarded)']);
+    assert.deepEqual(guarded("if (!('showModal' in d)) { open(d); } else { d.showModal(); }"), ['dialog (guarded)']);
+    assert.deepEqual(guarded('const has = !Object.hasOwn ? legacy(o, k) : Object.hasOwn(o, k);'), ['object-hasown (guarded)']);
+    assert.deepEqual(guarded('structuredClone == null || structuredClone(x);'), ['structured-clone (guarded)']);
+});
+
+test('does not downgrade uses where the check says the feature is missing', () => {
+    assert.deepEqual(guarded("if (typeof Temporal === 'undefined') { Temporal.Now.instant(); }"), ['temporal']);
+    assert.deepEqual(guarded("if (!('showModal' in d)) { d.showModal(); }"), ['dialog']);
+    assert.deepEqual(guarded("if (typeof d.showModal !== 'function') d.showModal();"), ['dialog']);
+    assert.deepEqual(guarded("if ('showModal' in d) { open(d); } else { d.showModal(); }"), ['dialog']);
+    assert.deepEqual(guarded('if (!Object.hasOwn || legacy) { Object.hasOwn(o, k); }'), ['object-hasown']);
+});
+
+test('does not report the feature check itself', () => {
+    assert.deepEqual(guarded('if (!Object.hasOwn) { Object.hasOwn = polyfill; }'), []);
+    assert.deepEqual(guarded("if (typeof Object.hasOwn !== 'function') install();"), []);
+    assert.deepEqual(guarded('const supported = Boolean(window.fetch) && structuredClone !== undefined;'), []);
+    assert.deepEqual(guarded('if (!Object.hasOwn(o, k)) skip();'), ['object-hasown']);
+});
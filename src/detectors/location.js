@@ -0,0 +1,52 @@
+// Offset <-> line/column conversion shared by the language detectors.
+// Lines and columns are 1-based to match the issue objects the analyzers emit.
+
+export function createLocator(code) {
+    const lineStarts = [0];
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    function locate(offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    }
+
+    return {
+        locate,
+        lineText(line) {
+            const start = lineStarts[line - 1];
+            const next = lineStarts[line];
+            return code.slice(start, next === undefined ? code.length : next - 1);
+        }
+    };
+}
+
+export function createMatch(id, start, end, code, locator) {
+    const from = locator.locate(start);
+    const to = locator.locate(end);
+    return {
+        id,
+        start,
+        end,
+        line: from.line,
+        column: from.column,
+        endLine: to.line,
+        endColumn: to.column,
+        matchedText: code.slice(start, end)
+    };
+}
+
+// Re-anchor matches found in an embedded snippet (e.g. an inline <script>) onto the host document
+export function relocateMatches(matches, baseOffset, code, locator) {
+    return matches.map(match => ({
+        ...match,
+        ...createMatch(match.id, baseOffset + match.start, baseOffset + match.end, code, locator)
+    }));
+}
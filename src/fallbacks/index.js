@@ -0,0 +1,197 @@
+// Fallback scaffolding: wraps a finding in a feature-detection guard (an `if` in JavaScript, an
+// @supports block in CSS) and leaves the fallback from the feature data as a comment in the other branch.
+// The guards use forms the detectors recognize, so the finding is reported as guarded afterwards.
+
+import { parseCss } from '../detectors/css.js';
+import { FUNCTION_TYPES, memberPath, parseJavaScript, walk } from '../detectors/javascript.js';
+import { JAVASCRIPT_LANGUAGES, TYPESCRIPT_LANGUAGES, isSimple } from '../fixes/index.js';
+
+const INDENT = '    ';
+
+// Statements that can be replaced by an if/else without changing what is in scope
+const WRAPPABLE_STATEMENTS = new Set([
+    'ExpressionStatement',
+    'ReturnStatement',
+    'ThrowStatement',
+    'IfStatement',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+    'SwitchStatement',
+    'TryStatement'
+]);
+
+const BLOCK_BODIES = new Set(['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase']);
+
+function lineIndent(code, offset) {
+    const lineStart = code.lastIndexOf('\n', offset - 1) + 1;
+    return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function indentLines(text, indent) {
+    return text.split('\n').map((line, index) => index === 0 || line.trim() === '' ? line : indent + line).join('\n');
+}
+
+// The runtime check for the usage the detector reported at `start`, and whether it names
+// something local (a method receiver) that must stay in scope
+function findJavaScriptTest(node, { start, end }) {
+    if ((node.type === 'CallExpression' || node.type === 'OptionalCallExpression')
+        && (node.callee.type === 'MemberExpression' || node.callee.type === 'OptionalMemberExpression')
+        && !node.callee.computed && node.callee.property.start === start) {
+        const path = memberPath(node.callee);
+        if (!path || !isSimple(node.callee.object)) return null;
+        return { test: `typeof ${path} === 'function'`, local: true };
+    }
+    // Exactly the reported range: typeof Temporal.Now would throw where Temporal is missing
+    if ((node.type === 'MemberExpression' || node.type === 'Identifier') && node.start === start && node.end === end) {
+        const path = memberPath(node);
+        if (!path) return null;
+        return { test: `typeof ${path} !== 'undefined'`, local: false };
+    }
+    return null;
+}
+
+function createJavaScriptGuard(code, language, issue, fallback) {
+    const ast = parseJavaScript(code, { typescript: TYPESCRIPT_LANGUAGES.has(language) });
+    let edit = null;
+
+    walk(ast.program, (node, ancestors) => {
+        if (edit !== null) return;
+        const found = findJavaScriptTest(node, issue);
+        if (!found) return;
+        edit = false;
+
+        for (let i = ancestors.length - 1; i >= 0; i--) {
+            const statement = ancestors[i];
+            const parent = ancestors[i - 1];
+            // A method receiver may be a parameter of a function between the usage and the statement
+            if (FUNCTION_TYPES.has(statement.type) && found.local) return;
+
+            const indent = lineIndent(code, statement.start);
+            const otherwise = `} else {\n${indent}${INDENT}// Fallback: ${fallback}\n${indent}}`;
+
+            if (WRAPPABLE_STATEMENTS.has(statement.type)) {
+                const body = indentLines(code.slice(statement.start, statement.end), INDENT);
+                edit = {
+                    start: statement.start,
+                    end: statement.end,
+                    text: `if (${found.test}) {\n${indent}${INDENT}${body}\n${indent}${otherwise}`
+                };
+                return;
+            }
+
+            // const x = usage; becomes a declaration followed by a guarded assignment
+            if (statement.type === 'VariableDeclaration' && parent && BLOCK_BODIES.has(parent.type)) {
+                const [declarator] = statement.declarations;
+                const inInit = ancestors[i + 1] === declarator && (ancestors[i + 2] ?? node) === declarator.init;
+                if (statement.declarations.length !== 1 || declarator.id.type !== 'Identifier' || !inInit) return;
+
+                const kind = statement.kind === 'var' ? 'var' : 'let';
+                const init = indentLines(code.slice(declarator.init.start, declarator.init.end), INDENT);
+                edit = {
+                    start: statement.start,
+                    end: statement.end,
+                    text: `${kind} ${code.slice(declarator.id.start, declarator.id.end)};\n`
+                        + `${indent}if (${found.test}) {\n${indent}${INDENT}${declarator.id.name} = ${init};\n${indent}${otherwise}`
+                };
+                return;
+            }
+
+            if (statement.type.endsWith('Declaration') || statement.type === 'BlockStatement') return;
+        }
+    });
+
+    return edit || null;
+}
+
+// selector(:has(*)) style feature query for a pseudo-class, keeping its own argument when it has one
+function selectorCondition(selector, offset) {
+    const pseudo = selector.slice(offset).match(/^::?[\w-]+/);
+    if (!pseudo) return null;
+    let end = offset + pseudo[0].length;
+    if (selector[end] === '(') {
+        let depth = 0;
+        for (; end < selector.length; end++) {
+            if (selector[end] === '(') depth++;
+            if (selector[end] === ')' && --depth === 0) break;
+        }
+        end++;
+    }
+    return `selector(${selector.slice(offset, end)})`;
+}
+
+function createCssGuard(code, issue, fallback) {
+    const root = parseCss(code);
+    let condition = null;
+    let rule = null;
+    let declaration = null;
+
+    root.walk(node => {
+        const start = node.source?.start?.offset;
+        const end = node.source?.end?.offset;
+        if (start === undefined || end === undefined || issue.start < start || issue.start > end) return;
+
+        const selector = node.type === 'rule' ? node.raws.selector?.raw ?? node.selector : '';
+        if (node.type === 'rule' && issue.start < start + selector.length) {
+            condition = selectorCondition(selector, issue.start - start);
+            rule = node;
+            declaration = null;
+        } else if (node.type === 'decl') {
+            condition = `(${node.prop}: ${node.value})`;
+            rule = node.parent;
+            declaration = node;
+        } else if (node.type === 'atrule' && node.name.toLowerCase() === 'container' && issue.start === start) {
+            condition = '(container-type: inline-size)';
+            rule = node;
+            declaration = null;
+        }
+    });
+
+    // Nested rules would need nesting support for the @supports block itself
+    if (!condition || !rule || rule.type === 'root' || (rule.parent && rule.parent.type === 'rule')) return null;
+
+    const start = rule.source.start.offset;
+    // Older postcss releases report the closing brace itself as the end
+    const end = code[rule.source.end.offset - 1] === '}' ? rule.source.end.offset : rule.source.end.offset + 1;
+    const indent = lineIndent(code, start);
+    const comment = `/* Fallback: ${fallback} */\n${indent}`;
+
+    // A selector or @container is the feature itself, so the whole rule moves into the block
+    if (!declaration) {
+        return {
+            start,
+            end,
+            text: `${comment}@supports ${condition} {\n${indent}${INDENT}${indentLines(code.slice(start, end), INDENT)}\n${indent}}`
+        };
+    }
+
+    // Only the declaration moves; the rest of the rule stays unguarded
+    const base = rule.clone();
+    base.nodes[rule.index(declaration)].remove();
+    const selector = rule.type === 'rule' ? rule.raws.selector?.raw ?? rule.selector : `@${rule.name}${rule.params ? ` ${rule.params}` : ''}`;
+    const guarded = `${comment}@supports ${condition} {\n`
+        + `${indent}${INDENT}${selector} {\n${indent}${INDENT}${INDENT}${declaration.toString()};\n${indent}${INDENT}}\n${indent}}`;
+    return {
+        start,
+        end,
+        text: base.nodes.length > 0 ? `${base.toString()}\n\n${indent}${guarded}` : guarded
+    };
+}
+
+// An edit { start, end, text } guarding the finding, or null where no runtime or @supports check applies
+// (syntax features, HTML, usages whose receiver would leave scope)
+export function createFallbackEdit(code, language, issue, fallback = 'Feature-specific implementation required') {
+    try {
+        if (JAVASCRIPT_LANGUAGES.has(language) || TYPESCRIPT_LANGUAGES.has(language)) {
+            return createJavaScriptGuard(code, language, issue, fallback);
+        }
+        if (language === 'css') {
+            return createCssGuard(code, issue, fallback);
+        }
+    } catch {
+        // Unparseable code has nothing safe to wrap
+    }
+    return null;
+}
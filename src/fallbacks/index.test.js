@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCssFeatures } from '../detectors/css.js';
+import { detectJavaScriptFeatures } from '../detectors/javascript.js';
+import { createFallbackEdit } from './index.js';
+
+const apply = (code, edit) => code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+
+const guardJavaScript = (code, id) => {
+    const issue = detectJavaScriptFeatures(code).find(match => match.id === id);
+    const edit = createFallbackEdit(code, 'javascript', issue, 'copy by hand');
+    return edit && apply(code, edit);
+};
+
+const guardCss = (code, id) => {
+    const issue = detectCssFeatures(code).find(match => match.id === id);
+    const edit = createFallbackEdit(code, 'css', issue, 'use a media query');
+    return edit && apply(code, edit);
+};
+
+test('wraps a JavaScript statement in a feature check', () => {
+    assert.equal(guardJavaScript('structuredClone(value);', 'structured-clone'), [
+        "if (typeof structuredClone !== 'undefined') {",
+        '    structuredClone(value);',
+        '} else {',
+        '    // Fallback: copy by hand',
+        '}'
+    ].join('\n'));
+    assert.equal(guardJavaScript('dialog.showModal();', 'dialog'), [
+        "if (typeof dialog.showModal === 'function') {",
+        '    dialog.showModal();',
+        '} else {',
+        '    // Fallback: copy by hand',
+        '}'
+    ].join('\n'));
+});
+
+test('splits a declaration to guard its initializer', () => {
+    assert.equal(guardJavaScript('const copy = structuredClone(value);', 'structured-clone'), [
+        'let copy;',
+        "if (typeof structuredClone !== 'undefined') {",
+        '    copy = structuredClone(value);',
+        '} else {',
+        '    // Fallback: copy by hand',
+        '}'
+    ].join('\n'));
+});
+
+test('leaves a JavaScript usage alone when its receiver would leave scope', () => {
+    assert.equal(guardJavaScript('items.forEach(d => d.showModal());', 'dialog'), null);
+});
+
+test('produces guards the detector recognizes', () => {
+    const guarded = guardJavaScript('structuredClone(value);', 'structured-clone');
+    assert.deepEqual(detectJavaScriptFeatures(guarded).map(match => match.guarded), [true]);
+});
+
+test('moves only the feature\'s declaration into @supports', () => {
+    assert.equal(guardCss('.card { color: red; padding: 1rem; container-type: inline-size }', 'container-queries'), [
+        '.card { color: red; padding: 1rem }',
+        '',
+        '/* Fallback: use a media query */',
+        '@supports (container-type: inline-size) {',
+        '    .card {',
+        '        container-type: inline-size;',
+        '    }',
+        '}'
+    ].join('\n'));
+});
+
+test('keeps a multi-line rule\'s other declarations and formatting', () => {
+    const code = '.box {\n    color: red;\n    aspect-ratio: 16 / 9;\n    padding: 0;\n}\n';
+    assert.equal(guardCss(code, 'aspect-ratio'), [
+        '.box {',
+        '    color: red;',
+        '    padding: 0;',
+        '}',
+        '',
+        '/* Fallback: use a media query */',
+        '@supports (aspect-ratio: 16 / 9) {',
+        '    .box {',
+        '        aspect-ratio: 16 / 9;',
+        '    }',
+        '}',
+        ''
+    ].join('\n'));
+});
+
+test('wraps the whole rule when the selector is the feature', () => {
+    assert.equal(guardCss('.list:has(> img) { gap: 1rem; }', 'has'), [
+        '/* Fallback: use a media query */',
+        '@supports selector(:has(> img)) {',
+        '    .list:has(> img) { gap: 1rem; }',
+        '}'
+    ].join('\n'));
+});
+
+test('guards a rule that only holds the feature\'s declaration', () => {
+    assert.equal(guardCss('.box { aspect-ratio: 1; }', 'aspect-ratio'), [
+        '/* Fallback: use a media query */',
+        '@supports (aspect-ratio: 1) {',
+        '    .box {',
+        '        aspect-ratio: 1;',
+        '    }',
+        '}'
+    ].join('\n'));
+});
@@ -0,0 +1,160 @@
+// Line-based unified diff for previewing fixes, in the format `git apply` and `patch` accept.
+
+// Linear-space Myers diff (Myers 1986, section 4b): find the middle snake of an optimal edit path
+// with a forward and a backward search, then recurse on both sides. Time is O((N + M) D) and memory
+// O(N + M), so a large bundle with a few fixed lines far apart diffs quickly.
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) === 1;
+    const limit = Math.ceil((n + m) / 2);
+    const offset = limit + 1;
+    const forward = new Int32Array(2 * offset + 1);
+    const backward = new Int32Array(2 * offset + 1);
+
+    for (let d = 0; d <= limit; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+            const opposite = delta - k;
+            if (odd && opposite >= -(d - 1) && opposite <= d - 1 && x + backward[offset + opposite] >= n) {
+                return { startX: aStart + startX, startY: bStart + startY, endX: aStart + x, endY: bStart + y };
+            }
+        }
+
+        // Backward coordinates count from the ends of both ranges
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+            const opposite = delta - k;
+            if (!odd && opposite >= -d && opposite <= d && x + forward[offset + opposite] >= n) {
+                return { startX: aEnd - x, startY: bEnd - y, endX: aEnd - startX, endY: bEnd - startY };
+            }
+        }
+    }
+    throw new Error('No middle snake found');
+}
+
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+    let suffix = 0;
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        ops.push({ type: ' ', index: aStart++ });
+        bStart++;
+    }
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+        aEnd--;
+        bEnd--;
+        suffix++;
+    }
+
+    if (aStart === aEnd) {
+        for (let j = bStart; j < bEnd; j++) ops.push({ type: '+', index: j });
+    } else if (bStart === bEnd) {
+        for (let i = aStart; i < aEnd; i++) ops.push({ type: '-', index: i });
+    } else {
+        // With the common prefix and suffix gone the edit distance is at least 2, so both halves shrink
+        const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        diffRange(a, aStart, snake.startX, b, bStart, snake.startY, ops);
+        for (let i = snake.startX; i < snake.endX; i++) ops.push({ type: ' ', index: i });
+        diffRange(a, snake.endX, aEnd, b, snake.endY, bEnd, ops);
+    }
+
+    for (let i = aEnd; i < aEnd + suffix; i++) ops.push({ type: ' ', index: i });
+}
+
+// Edit script as { type: ' ' | '-' | '+', line }, with deletions before additions in each change
+export function diffLines(before, after) {
+    // Compare integers instead of strings
+    const ids = new Map();
+    const toId = line => {
+        if (!ids.has(line)) ids.set(line, ids.size);
+        return ids.get(line);
+    };
+    const a = before.map(toId);
+    const b = after.map(toId);
+
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+    const result = [];
+    let additions = [];
+    ops.forEach(op => {
+        if (op.type === '+') {
+            additions.push({ type: '+', line: after[op.index] });
+            return;
+        }
+        if (op.type === ' ') {
+            result.push(...additions);
+            additions = [];
+        }
+        result.push({ type: op.type, line: before[op.index] });
+    });
+    return result.concat(additions);
+}
+
+// Lines of a file without the empty string after a final newline. A last line without one keeps a
+// trailing '\n' (which no split line can contain) so it differs from the same text with a newline.
+function splitLines(text) {
+    if (text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    else lines[lines.length - 1] += '\n';
+    return lines;
+}
+
+export function createUnifiedDiff(file, before, after, { context = 3 } = {}) {
+    if (before === after) return '';
+
+    const ops = diffLines(splitLines(before), splitLines(after));
+    const changed = ops.map((op, index) => op.type !== ' ' ? index : -1).filter(index => index !== -1);
+
+    // Group changes whose context windows touch into hunks
+    const hunks = [];
+    changed.forEach(index => {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= context * 2) last.end = index;
+        else hunks.push({ start: index, end: index });
+    });
+
+    const output = [`--- a/${file}`, `+++ b/${file}`];
+    hunks.forEach(hunk => {
+        const from = Math.max(0, hunk.start - context);
+        const to = Math.min(ops.length, hunk.end + context + 1);
+        const preceding = ops.slice(0, from);
+        const slice = ops.slice(from, to);
+        const oldStart = preceding.filter(op => op.type !== '+').length + 1;
+        const newStart = preceding.filter(op => op.type !== '-').length + 1;
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+
+        output.push(`@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`);
+        slice.forEach(op => {
+            if (!op.line.endsWith('\n')) {
+                output.push(`${op.type}${op.line}`);
+                return;
+            }
+            output.push(`${op.type}${op.line.slice(0, -1)}`, '\\ No newline at end of file');
+        });
+    });
+
+    return `${output.join('\n')}\n`;
+}
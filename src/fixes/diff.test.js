@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createUnifiedDiff, diffLines } from './diff.js';
+
+// Reference LCS length for small inputs
+function commonLength(a, b) {
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+    return table[0][0];
+}
+
+test('produces a minimal edit script that rebuilds both sides', () => {
+    let seed = 1;
+    const random = limit => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return Math.floor(seed / 2147483648 * limit);
+    };
+    for (let run = 0; run < 500; run++) {
+        const alphabet = random(4) + 1;
+        const before = Array.from({ length: random(10) }, () => String(random(alphabet)));
+        const after = Array.from({ length: random(10) }, () => String(random(alphabet)));
+        const ops = diffLines(before, after);
+        assert.deepEqual(ops.filter(op => op.type !== '+').map(op => op.line), before);
+        assert.deepEqual(ops.filter(op => op.type !== '-').map(op => op.line), after);
+        assert.equal(ops.filter(op => op.type === ' ').length, commonLength(before, after));
+    }
+});
+
+test('lists deletions before additions', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'c'], ['x', 'y', 'c']).map(op => op.type + op.line), ['-a', '-b', '+x', '+y', ' c']);
+});
+
+test('diffs large files with few changes', () => {
+    const before = Array.from({ length: 100000 }, (_, index) => `line ${index}`);
+    const after = before.slice();
+    after[5] = 'first';
+    after[99990] = 'second';
+    const changes = diffLines(before, after).filter(op => op.type !== ' ').map(op => op.type + op.line);
+    assert.deepEqual(changes, ['-line 5', '+first', '-line 99990', '+second']);
+});
+
+test('writes hunks with context and line numbers', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'].join('\n');
+    const after = before.replace('2', 'two').replace('11', 'eleven');
+    assert.equal(createUnifiedDiff('app.js', before, after, { context: 1 }), [
+        '--- a/app.js',
+        '+++ b/app.js',
+        '@@ -1,3 +1,3 @@',
+        ' 1',
+        '-2',
+        '+two',
+        ' 3',
+        '@@ -10,3 +10,3 @@',
+        ' 10',
+        '-11',
+        '+eleven',
+        ' 12',
+        '\\ No newline at end of file',
+        ''
+    ].join('\n'));
+    assert.equal(createUnifiedDiff('app.js', before, before), '');
+});
+
+test('ends hunks at the last line and marks a missing final newline', () => {
+    assert.equal(createUnifiedDiff('app.js', 'const a = 1;\nconst n = 1_000;\n', 'const a = 1;\nconst n = 1000;\n'), [
+        '--- a/app.js',
+        '+++ b/app.js',
+        '@@ -1,2 +1,2 @@',
+        ' const a = 1;',
+        '-const n = 1_000;',
+        '+const n = 1000;',
+        ''
+    ].join('\n'));
+    assert.equal(createUnifiedDiff('app.js', 'a\nb', 'a\nb\n'), [
+        '--- a/app.js',
+        '+++ b/app.js',
+        '@@ -1,2 +1,2 @@',
+        ' a',
+        '-b',
+        '\\ No newline at end of file',
+        '+b',
+        ''
+    ].join('\n'));
+});
+
+test('writes patches git apply accepts', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'baseline-diff-'));
+    try {
+        execFileSync('git', ['init', '-q'], { cwd: dir });
+        const cases = [
+            ['const a = 1;\nconst n = 1_000;\n', 'const a = 1;\nconst n = 1000;\n'],
+            ['a\nb\nc', 'a\nB\nc'],
+            ['a\nb', 'a\nb\n'],
+            ['a\nb\n', 'a\nb'],
+            ['', 'new\n'],
+            ['1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n', '0\n1\n2\n3\n4\n5\n6\n7\n8\nnine\n10\n']
+        ];
+        cases.forEach(([before, after]) => {
+            writeFileSync(join(dir, 'app.js'), before);
+            writeFileSync(join(dir, 'fix.patch'), createUnifiedDiff('app.js', before, after));
+            execFileSync('git', ['apply', '--check', 'fix.patch'], { cwd: dir, stdio: 'pipe' });
+            execFileSync('git', ['apply', 'fix.patch'], { cwd: dir, stdio: 'pipe' });
+            assert.equal(readFileSync(join(dir, 'app.js'), 'utf-8'), after);
+        });
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,178 @@
+// Syntax-aware codemods for JavaScript / TypeScript findings.
+// Each transform rewrites one feature into an equivalent that older browsers understand. Edits
+// splice the original source so formatting and comments outside the rewritten range survive.
+
+import { memberPath, parseJavaScript, walk } from '../detectors/javascript.js';
+
+export const JAVASCRIPT_LANGUAGES = new Set(['javascript', 'javascriptreact', 'jsx']);
+export const TYPESCRIPT_LANGUAGES = new Set(['typescript', 'typescriptreact', 'tsx']);
+
+// Expressions that can be repeated in the output without running side effects twice
+export function isSimple(node) {
+    if (node.type === 'Identifier' || node.type === 'ThisExpression') return true;
+    if (node.type === 'MemberExpression') {
+        const literalKey = node.computed && (node.property.type === 'NumericLiteral' || node.property.type === 'StringLiteral');
+        return isSimple(node.object) && (!node.computed || literalKey);
+    }
+    return false;
+}
+
+function needsParens(node) {
+    return !['Identifier', 'ThisExpression', 'MemberExpression', 'CallExpression', 'NumericLiteral', 'StringLiteral',
+        'BooleanLiteral', 'NullLiteral', 'TemplateLiteral', 'ArrayExpression', 'ObjectExpression'].includes(node.type);
+}
+
+function source(code, node) {
+    const text = code.slice(node.start, node.end);
+    return needsParens(node) ? `(${text})` : text;
+}
+
+function isStatement(parent) {
+    return parent?.type === 'ExpressionStatement';
+}
+
+// a ?? b with `a` repeated, the way transpilers spell it
+function nullishCheck(left, right) {
+    return `(${left} !== null && ${left} !== void 0 ? ${left} : ${right})`;
+}
+
+// Transforms keyed by feature ID. `anchor` is the offset the detector reports for the finding,
+// so only findings the caller asked for are rewritten.
+export const TRANSFORMS = {
+    'array-at': {
+        description: 'arr.at(i) → arr[i] / arr[arr.length - n]',
+        visit(node, code) {
+            if (node.type !== 'CallExpression' || node.optional) return null;
+            const callee = node.callee;
+            if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'at') return null;
+            if (node.arguments.length !== 1) return null;
+
+            const anchor = callee.property.start;
+            const argument = node.arguments[0];
+            const object = code.slice(callee.object.start, callee.object.end);
+
+            if (argument.type === 'NumericLiteral' && Number.isInteger(argument.value)) {
+                return { anchor, start: node.start, end: node.end, text: `${source(code, callee.object)}[${argument.value}]` };
+            }
+            if (argument.type === 'UnaryExpression' && argument.operator === '-' && argument.argument.type === 'NumericLiteral'
+                && Number.isInteger(argument.argument.value) && argument.argument.value > 0) {
+                if (!isSimple(callee.object)) return { anchor, reason: 'receiver has side effects and would be evaluated twice' };
+                return { anchor, start: node.start, end: node.end, text: `${object}[${object}.length - ${argument.argument.value}]` };
+            }
+            return { anchor, reason: 'index is not a constant integer' };
+        }
+    },
+
+    'object-hasown': {
+        description: 'Object.hasOwn(o, k) → Object.prototype.hasOwnProperty.call(o, k)',
+        visit(node) {
+            if (node.type !== 'CallExpression' || memberPath(node.callee) !== 'Object.hasOwn') return null;
+            return { anchor: node.callee.start, start: node.callee.start, end: node.callee.end, text: 'Object.prototype.hasOwnProperty.call' };
+        }
+    },
+
+    'nullish-coalescing': {
+        description: 'a ?? b → (a !== null && a !== void 0 ? a : b)',
+        visit(node, code) {
+            if (node.type !== 'LogicalExpression' || node.operator !== '??') return null;
+            const anchor = code.indexOf('??', node.left.end);
+            if (!isSimple(node.left)) return { anchor, reason: 'left operand has side effects and would be evaluated twice' };
+            return {
+                anchor,
+                start: node.start,
+                end: node.end,
+                text: nullishCheck(code.slice(node.left.start, node.left.end), source(code, node.right))
+            };
+        }
+    },
+
+    'logical-assignments': {
+        description: 'a ||= b → a || (a = b), a ??= b → a ?? (a = b) without ??',
+        visit(node, code, parent) {
+            if (node.type !== 'AssignmentExpression' || !['||=', '&&=', '??='].includes(node.operator)) return null;
+            const anchor = code.indexOf(node.operator, node.left.end);
+            if (!isSimple(node.left)) return { anchor, reason: 'target has side effects and would be evaluated twice' };
+
+            const left = code.slice(node.left.start, node.left.end);
+            const assignment = `(${left} = ${code.slice(node.right.start, node.right.end)})`;
+            const text = node.operator === '??='
+                ? nullishCheck(left, assignment)
+                : `${left} ${node.operator.slice(0, 2)} ${assignment}`;
+            return { anchor, start: node.start, end: node.end, text: isStatement(parent) || node.operator === '??=' ? text : `(${text})` };
+        }
+    },
+
+    'numeric-separators': {
+        description: '1_000_000 → 1000000',
+        visit(node) {
+            if (node.type !== 'NumericLiteral' || !node.extra?.raw?.includes('_')) return null;
+            return { anchor: node.start, start: node.start, end: node.end, text: node.extra.raw.replace(/_/g, '') };
+        }
+    }
+};
+
+export function isFixableLanguage(language) {
+    return JAVASCRIPT_LANGUAGES.has(language) || TYPESCRIPT_LANGUAGES.has(language);
+}
+
+// Whether the configured targets need a finding rewritten: guarded uses already degrade gracefully,
+// and without targets anything short of widely available qualifies
+export function needsFix(issue) {
+    if (issue.guarded || !issue.severity) return false;
+    if (issue.targetStatus) return issue.targetStatus !== 'supported';
+    return issue.status !== 'widely-available';
+}
+
+// Rewrites the given findings. Returns the new code, the edits made (with offsets into the original code)
+// and findings left alone with a reason.
+// Overlapping edits are skipped; running again on the result picks up nested ones.
+export function applyFixes(code, language, issues) {
+    const wanted = new Map(issues.map(issue => [`${issue.id}:${issue.start}`, issue]));
+    const applied = [];
+    const skipped = [];
+
+    if (!isFixableLanguage(language)) {
+        return { code, applied, skipped: issues.map(issue => ({ issue, reason: `no automatic fixes for ${language}` })) };
+    }
+
+    const ast = parseJavaScript(code, { typescript: TYPESCRIPT_LANGUAGES.has(language) });
+    const edits = [];
+    walk(ast.program, (node, ancestors) => {
+        Object.entries(TRANSFORMS).forEach(([id, transform]) => {
+            const edit = transform.visit(node, code, ancestors[ancestors.length - 1]);
+            if (!edit) return;
+            const issue = wanted.get(`${id}:${edit.anchor}`);
+            if (!issue) return;
+            wanted.delete(`${id}:${edit.anchor}`);
+            if (edit.reason) skipped.push({ issue, reason: edit.reason });
+            else edits.push({ ...edit, issue });
+        });
+    });
+
+    // Outermost edit wins; walk order visits parents first
+    const accepted = [];
+    edits.sort((a, b) => a.start - b.start || b.end - a.end).forEach(edit => {
+        const previous = accepted[accepted.length - 1];
+        if (previous && edit.start < previous.end) return;
+        accepted.push(edit);
+    });
+
+    let output = code;
+    [...accepted].reverse().forEach(edit => {
+        output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    });
+    accepted.forEach(edit => applied.push({
+        issue: edit.issue,
+        line: edit.issue.line,
+        start: edit.start,
+        end: edit.end,
+        before: code.slice(edit.start, edit.end),
+        after: edit.text
+    }));
+
+    wanted.forEach(issue => {
+        skipped.push({ issue, reason: TRANSFORMS[issue.id] ? 'pattern not supported by the codemod' : 'no automatic fix available' });
+    });
+
+    return { code: output, applied, skipped };
+}
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectJavaScriptFeatures } from '../detectors/javascript.js';
+import { applyFixes, needsFix } from './index.js';
+
+const fix = (code, language = 'javascript') => applyFixes(code, language, detectJavaScriptFeatures(code, { typescript: language === 'typescript' }));
+
+test('rewrites each supported feature', () => {
+    assert.equal(fix('const last = list.at(-1);').code, 'const last = list[list.length - 1];');
+    assert.equal(fix('const first = list.at(0);').code, 'const first = list[0];');
+    assert.equal(fix('Object.hasOwn(o, k);').code, 'Object.prototype.hasOwnProperty.call(o, k);');
+    assert.equal(fix('const v = a ?? b;').code, 'const v = (a !== null && a !== void 0 ? a : b);');
+    assert.equal(fix('x ||= 1;').code, 'x || (x = 1);');
+    assert.equal(fix('x ??= 1;').code, '(x !== null && x !== void 0 ? x : (x = 1));');
+    assert.equal(fix('const n = 1_000_000;').code, 'const n = 1000000;');
+});
+
+test('keeps code outside the edits untouched', () => {
+    const { code, applied } = fix('// keep me\nconst n = 1_000; /* and me */\n', 'typescript');
+    assert.equal(code, '// keep me\nconst n = 1000; /* and me */\n');
+    assert.deepEqual(applied.map(edit => [edit.line, edit.before, edit.after]), [[2, '1_000', '1000']]);
+});
+
+test('skips rewrites that would evaluate side effects twice', () => {
+    const { code, skipped } = fix('const v = load() ?? fallback;\nconst last = items().at(-1);');
+    assert.equal(code, 'const v = load() ?? fallback;\nconst last = items().at(-1);');
+    assert.deepEqual(skipped.map(item => item.reason), [
+        'left operand has side effects and would be evaluated twice',
+        'receiver has side effects and would be evaluated twice'
+    ]);
+});
+
+test('applies the outermost of overlapping edits', () => {
+    const { code, applied } = fix('const v = a ?? 1_000;');
+    assert.equal(code, 'const v = (a !== null && a !== void 0 ? a : 1_000);');
+    assert.equal(applied.length, 1);
+});
+
+test('leaves other languages alone', () => {
+    const issues = [{ id: 'has', start: 0, line: 1 }];
+    assert.deepEqual(applyFixes('a:has(b) {}', 'css', issues).skipped.map(item => item.reason), ['no automatic fixes for css']);
+});
+
+test('fixes only findings the targets need', () => {
+    assert.equal(needsFix({ severity: 'warning', guarded: true }), false);
+    assert.equal(needsFix({ severity: 'warning', targetStatus: 'supported' }), false);
+    assert.equal(needsFix({ severity: 'warning', targetStatus: 'unsupported' }), true);
+});
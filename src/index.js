@@ -1,3 +1,6 @@
+import { detectFeatures } from './detectors/index.js';
+import { generateHtmlReport } from './reports/html.js';
+
 class BaselineAnalyzer {
     constructor() {
         this.features = new Map();
@@ -8,7 +11,7 @@ class BaselineAnalyzer {
         // Real feature detection patterns with accurate browser support data
         const features = [
             {
-                id: 'dialog-api',
+                id: 'dialog',
                 pattern: /\.showModal\(\)|<dialog|HTMLDialogElement/i,
                 name: 'HTML Dialog API',
                 status: 'newly-available',
@@ -49,7 +52,7 @@ class BaselineAnalyzer {
                 mdn: 'https://developer.mozilla.org/docs/Web/JavaScript/Reference/Operators/Nullish_coalescing_operator'
             },
             {
-                id: 'temporal-api',
+                id: 'temporal',
                 pattern: /Temporal\./,
                 name: 'Temporal API',
                 status: 'unsupported',
@@ -70,6 +73,7 @@ class BaselineAnalyzer {
             },
             {
                 id: 'container-queries',
+                stylesheetOnly: true,
                 pattern: /@container|container-type:|container-name:/i,
                 name: 'CSS Container Queries',
                 status: 'newly-available',
@@ -79,7 +83,8 @@ class BaselineAnalyzer {
                 mdn: 'https://developer.mozilla.org/docs/Web/CSS/CSS_Container_Queries'
             },
             {
-                id: 'css-has',
+                id: 'has',
+                stylesheetOnly: true,
                 pattern: /:has\(/i,
                 name: 'CSS :has() Selector',
                 status: 'newly-available',
@@ -89,7 +94,8 @@ class BaselineAnalyzer {
                 mdn: 'https://developer.mozilla.org/docs/Web/CSS/:has'
             },
             {
-                id: 'css-nesting',
+                id: 'nesting',
+                stylesheetOnly: true,
                 pattern: /&\s*[:{\.\#]/,
                 name: 'CSS Nesting',
                 status: 'newly-available',
@@ -99,7 +105,7 @@ class BaselineAnalyzer {
                 mdn: 'https://developer.mozilla.org/docs/Web/CSS/CSS_Nesting'
             },
             {
-                id: 'fetch-api',
+                id: 'fetch',
                 pattern: /fetch\s*\(/,
                 name: 'Fetch API',
                 status: 'widely-available',
@@ -116,32 +122,61 @@ class BaselineAnalyzer {
     }
 
     analyzeCode(code, language = 'javascript') {
-        const results = [];
         const lines = code.split('\n');
+        const results = this.detectMatches(code, language)
+            .filter(match => this.features.has(match.id))
+            .map(match => {
+                const feature = this.features.get(match.id);
+                return {
+                    id: match.id,
+                    feature: feature.name,
+                    line: match.line,
+                    column: match.column,
+                    endLine: match.endLine,
+                    endColumn: match.endColumn,
+                    code: lines[match.line - 1].trim(),
+                    status: feature.status,
+                    baseline: feature.baseline,
+                    browsers: feature.browsers,
+                    polyfill: feature.polyfill,
+                    fallback: feature.fallback,
+                    mdn: feature.mdn,
+                    severity: match.guarded ? this.getGuardedSeverity(this.getSeverity(feature.status)) : this.getSeverity(feature.status),
+                    guarded: Boolean(match.guarded),
+                    matchedText: match.matchedText
+                };
+            });
+        return this.enrichResults(results, code);
+    }
 
+    detectMatches(code, language) {
+        try {
+            const matches = detectFeatures(code, language);
+            if (matches) return matches;
+        } catch (error) {
+            // Code that does not parse yet (mid-typing) is still scanned line by line
+        }
+
+        const matches = [];
+        const lines = code.split('\n');
+        const isStylesheet = language === 'css' || language === 'html';
         this.features.forEach((feature, id) => {
+            if (feature.stylesheetOnly && !isStylesheet) return;
             lines.forEach((line, lineIndex) => {
                 const match = line.match(feature.pattern);
                 if (match) {
-                    results.push({
+                    matches.push({
                         id,
-                        feature: feature.name,
                         line: lineIndex + 1,
-                        column: line.indexOf(match[0]) + 1,
-                        code: line.trim(),
-                        status: feature.status,
-                        baseline: feature.baseline,
-                        browsers: feature.browsers,
-                        polyfill: feature.polyfill,
-                        fallback: feature.fallback,
-                        mdn: feature.mdn,
-                        severity: this.getSeverity(feature.status),
+                        column: match.index + 1,
+                        endLine: lineIndex + 1,
+                        endColumn: match.index + match[0].length + 1,
                         matchedText: match[0]
                     });
                 }
             });
         });
-        return this.enrichResults(results, code);
+        return matches;
     }
 
     getSeverity(status) {
@@ -154,6 +189,16 @@ class BaselineAnalyzer {
         return severityMap[status] || 'info';
     }
 
+    // Feature-detected uses fall back gracefully, so they count one level lower
+    getGuardedSeverity(severity) {
+        const downgraded = {
+            'error': 'warning',
+            'warning': 'info',
+            'info': 'info'
+        };
+        return downgraded[severity] || severity;
+    }
+
     enrichResults(results, code) {
         const riskScore = this.calculateRiskScore(results);
         const grouped = this.groupBySeverity(results);
@@ -165,7 +210,9 @@ class BaselineAnalyzer {
                 riskScore,
                 riskLevel: this.getRiskLevel(riskScore),
                 breakdown: grouped,
-                compatibilityScore: Math.max(0, 100 - riskScore)
+                compatibilityScore: Math.max(0, 100 - riskScore),
+                guarded: results.filter(result => result.guarded).length,
+                unguarded: results.filter(result => !result.guarded).length
             },
             issues: results,
             suggestions,
@@ -392,6 +439,7 @@ try {
         analyzeBtn.addEventListener('click', () => this.analyzeCode());
         clearBtn.addEventListener('click', () => this.clearAll());
         exportBtn.addEventListener('click', () => this.exportReport());
+        document.getElementById('export-html-btn').addEventListener('click', () => this.exportHtmlReport());
         loadSampleBtn.addEventListener('click', () => this.loadSample());
 
         // Real-time analysis with debouncing
@@ -582,6 +630,7 @@ try {
                     <div class="text-center">
                         <div class="text-2xl font-bold">${summary.total}</div>
                         <div class="text-sm opacity-75">Features Found</div>
+                        <div class="text-xs opacity-75 mt-1">${summary.unguarded} unguarded · ${summary.guarded} guarded</div>
                     </div>
                 </div>
                 <div class="border rounded-lg p-4 bg-purple-50 border-purple-200 text-purple-800">
@@ -632,7 +681,7 @@ try {
 
                     ${featureIssues.map(occurrence => `
                         <div class="code-occurrence mb-3 p-3 bg-gray-50 rounded border-l-4 border-blue-400">
-                            <div class="text-sm text-gray-600 mb-1">Line ${occurrence.line}, Column ${occurrence.column}</div>
+                            <div class="text-sm text-gray-600 mb-1">Line ${occurrence.line}, Column ${occurrence.column}${occurrence.guarded ? ' · <span class="text-green-700">guarded by feature detection</span>' : ''}</div>
                             <code class="text-sm font-mono text-gray-800">${this.escapeHtml(occurrence.code)}</code>
                         </div>
                     `).join('')}
@@ -815,12 +864,31 @@ try {
         }
 
         const report = this.generateReport(this.currentAnalysis);
-        const blob = new Blob([report], { type: 'text/markdown' });
+        this.downloadFile(report, 'text/markdown', `baseline-copilot-report-${new Date().toISOString().split('T')[0]}.md`);
+    }
+
+    exportHtmlReport() {
+        if (!this.currentAnalysis) {
+            alert('No analysis results to export. Please analyze some code first.');
+            return;
+        }
+
+        const language = document.getElementById('language-select')?.value || 'javascript';
+        const report = generateHtmlReport([{
+            file: `editor (${language})`,
+            issues: this.currentAnalysis.issues,
+            summary: this.currentAnalysis.summary
+        }]);
+        this.downloadFile(report, 'text/html', `baseline-copilot-report-${new Date().toISOString().split('T')[0]}.html`);
+    }
+
+    downloadFile(content, type, filename) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `baseline-copilot-report-${new Date().toISOString().split('T')[0]}.md`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -837,7 +905,7 @@ Generated by Baseline Copilot on ${date} at ${time}
 
 ## Summary
 
-- **Features Detected**: ${analysis.summary.total}
+- **Features Detected**: ${analysis.summary.total} (${analysis.summary.unguarded} unguarded, ${analysis.summary.guarded} guarded)
 - **Risk Level**: ${analysis.summary.riskLevel.toUpperCase()}
 - **Compatibility Score**: ${analysis.summary.compatibilityScore}/100
 
@@ -848,7 +916,7 @@ ${analysis.issues.map(issue => `
 
 - **Status**: ${issue.status.replace('-', ' ')}
 - **Baseline Date**: ${issue.baseline || 'Not baseline'}
-- **Line**: ${issue.line}, Column: ${issue.column}
+- **Line**: ${issue.line}, Column: ${issue.column}${issue.guarded ? ' (guarded)' : ''}
 - **Code**: \`${issue.code}\`
 
 **Browser Support**:
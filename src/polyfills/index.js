@@ -0,0 +1,260 @@
+// Polyfill planning: which polyfills the detected features need for the configured targets,
+// what to install, and a generated entry that loads each one only where feature detection fails.
+
+import { parseJavaScript } from '../detectors/javascript.js';
+import { TYPESCRIPT_LANGUAGES, isFixableLanguage, needsFix } from '../fixes/index.js';
+
+// Keyed by the `polyfill` name features carry. `imports` are top-of-file statements for a single
+// module; `detect` is true where the feature is native and `load` runs inside an async function once
+// detection fails.
+export const POLYFILLS = {
+    'dialog-polyfill': {
+        package: 'dialog-polyfill',
+        version: '^0.5.6',
+        imports: ["import dialogPolyfill from 'dialog-polyfill';"],
+        detect: "typeof HTMLDialogElement === 'function'",
+        load: [
+            "const { default: dialogPolyfill } = await import('dialog-polyfill');",
+            "document.querySelectorAll('dialog').forEach(dialog => dialogPolyfill.registerDialog(dialog));"
+        ],
+        note: "Also include dialog-polyfill/dist/dialog-polyfill.css and register dialogs created later with dialogPolyfill.registerDialog()"
+    },
+    'core-js/actual/array/at': {
+        package: 'core-js',
+        version: '^3.37.0',
+        imports: ["import 'core-js/actual/array/at';"],
+        detect: "'at' in Array.prototype",
+        load: ["await import('core-js/actual/array/at');"]
+    },
+    'core-js/actual/object/has-own': {
+        package: 'core-js',
+        version: '^3.37.0',
+        imports: ["import 'core-js/actual/object/has-own';"],
+        detect: "'hasOwn' in Object",
+        load: ["await import('core-js/actual/object/has-own');"]
+    },
+    'core-js/actual/structured-clone': {
+        package: 'core-js',
+        version: '^3.37.0',
+        imports: ["import 'core-js/actual/structured-clone';"],
+        detect: "typeof structuredClone === 'function'",
+        load: ["await import('core-js/actual/structured-clone');"]
+    },
+    'container-query-polyfill': {
+        package: 'container-query-polyfill',
+        version: '^1.0.2',
+        imports: ["import 'container-query-polyfill';"],
+        detect: "typeof CSS !== 'undefined' && CSS.supports('container-type: inline-size')",
+        load: ["await import('container-query-polyfill');"]
+    },
+    'css-has-pseudo': {
+        package: 'css-has-pseudo',
+        version: '^6.0.0',
+        imports: ["import cssHasPseudo from 'css-has-pseudo/browser';", 'cssHasPseudo(document);'],
+        detect: "typeof CSS !== 'undefined' && CSS.supports('selector(:has(*))')",
+        load: [
+            "const { default: cssHasPseudo } = await import('css-has-pseudo/browser');",
+            'cssHasPseudo(document);'
+        ],
+        note: 'The browser script only works together with the css-has-pseudo PostCSS plugin in your CSS build'
+    },
+    '@js-temporal/polyfill': {
+        package: '@js-temporal/polyfill',
+        version: '^0.4.4',
+        imports: ["import { Temporal } from '@js-temporal/polyfill';"],
+        detect: "typeof Temporal !== 'undefined'",
+        load: [
+            // Renamed so the binding does not shadow the global checked by `detect`
+            "const { Temporal: TemporalPolyfill } = await import('@js-temporal/polyfill');",
+            'globalThis.Temporal = TemporalPolyfill;'
+        ]
+    }
+};
+
+// performanceData sizes look like "8KB"
+function parseSize(size) {
+    const match = typeof size === 'string' ? size.match(/(\d+(?:\.\d+)?)\s*KB/i) : null;
+    return match ? Number(match[1]) : null;
+}
+
+// `findings` are { file, issue } pairs. Only unguarded uses the targets lack need a polyfill.
+export function planPolyfills(findings) {
+    const planned = new Map();
+    const withoutPolyfill = new Map();
+
+    findings.forEach(({ file, issue }) => {
+        if (!needsFix(issue)) return;
+
+        const polyfill = issue.polyfill && POLYFILLS[issue.polyfill];
+        if (!polyfill) {
+            const entry = withoutPolyfill.get(issue.id) || { id: issue.id, feature: issue.feature, count: 0 };
+            entry.count++;
+            withoutPolyfill.set(issue.id, entry);
+            return;
+        }
+
+        if (!planned.has(issue.polyfill)) {
+            planned.set(issue.polyfill, {
+                name: issue.polyfill,
+                ...polyfill,
+                size: parseSize(issue.performance?.polyfill_size),
+                features: new Map(),
+                files: new Set()
+            });
+        }
+        const entry = planned.get(issue.polyfill);
+        entry.features.set(issue.id, issue.feature);
+        entry.files.add(file);
+    });
+
+    const polyfills = [...planned.values()]
+        .map(entry => ({
+            ...entry,
+            features: [...entry.features].map(([id, name]) => ({ id, name })),
+            files: [...entry.files].sort()
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+        polyfills,
+        packages: [...new Set(polyfills.map(polyfill => polyfill.package))].sort(),
+        totalSize: polyfills.reduce((sum, polyfill) => sum + (polyfill.size || 0), 0),
+        unknownSize: polyfills.filter(polyfill => polyfill.size === null).map(polyfill => polyfill.name),
+        withoutPolyfill: [...withoutPolyfill.values()]
+    };
+}
+
+// An ES module that resolves `polyfillsReady` once every needed polyfill has loaded
+export function generatePolyfillEntry(plan, { generator = 'baseline-copilot polyfills' } = {}) {
+    const blocks = plan.polyfills.map(polyfill => [
+        `    // ${polyfill.features.map(feature => feature.name).join(', ')}`,
+        '    (async () => {',
+        `        if (${polyfill.detect}) return;`,
+        ...polyfill.load.map(line => `        ${line}`),
+        '    })()'
+    ].join('\n'));
+
+    return `// Generated by ${generator}. Regenerate instead of editing by hand.
+// Each polyfill is downloaded only in browsers where feature detection fails.
+
+export const polyfillsReady = Promise.all([
+${blocks.join(',\n')}
+]);
+`;
+}
+
+// Insertion { offset, text } for a polyfill's imports after the module's existing imports and
+// directives, or null when the module is unknown, already imported or not JavaScript
+export function createPolyfillImport(code, language, name) {
+    const polyfill = POLYFILLS[name];
+    if (!polyfill || !isFixableLanguage(language)) return null;
+
+    const specifier = polyfill.imports[0].match(/'([^']+)'/)[1];
+    const program = parseJavaScript(code, { typescript: TYPESCRIPT_LANGUAGES.has(language) }).program;
+    const alreadyImported = program.body.some(node => node.type === 'ImportDeclaration' && node.source.value === specifier);
+    if (alreadyImported) return null;
+
+    const imports = program.body.filter(node => node.type === 'ImportDeclaration');
+    const last = imports[imports.length - 1] || program.directives[program.directives.length - 1] || program.interpreter;
+    const text = polyfill.imports.join('\n');
+
+    if (!last) return { offset: 0, text: `${text}\n\n` };
+    const lineEnd = code.indexOf('\n', last.end);
+    return lineEnd === -1
+        ? { offset: code.length, text: `\n${text}\n` }
+        : { offset: lineEnd + 1, text: `${imports.length > 0 ? '' : '\n'}${text}\n` };
+}
+
+// Minimal scanner over JSON that already parsed, for editing package.json in place
+function skipWhitespace(text, index) {
+    while (/\s/.test(text[index] ?? '')) index++;
+    return index;
+}
+
+function skipString(text, index) {
+    for (index++; text[index] !== '"'; index++) {
+        if (text[index] === '\\') index++;
+    }
+    return index + 1;
+}
+
+function skipValue(text, index) {
+    if (text[index] === '"') return skipString(text, index);
+    if (text[index] !== '{' && text[index] !== '[') {
+        while (index < text.length && !/[\s,}\]]/.test(text[index])) index++;
+        return index;
+    }
+    for (let depth = 0; ; index++) {
+        if (text[index] === '"') index = skipString(text, index) - 1;
+        else if (text[index] === '{' || text[index] === '[') depth++;
+        else if ((text[index] === '}' || text[index] === ']') && --depth === 0) return index + 1;
+    }
+}
+
+// Members { key, start, valueStart, end } of the object opening at `open`, and its closing brace
+function objectMembers(text, open) {
+    const members = [];
+    let index = skipWhitespace(text, open + 1);
+    while (text[index] === '"') {
+        const keyEnd = skipString(text, index);
+        const valueStart = skipWhitespace(text, skipWhitespace(text, keyEnd) + 1);
+        const end = skipValue(text, valueStart);
+        members.push({ key: JSON.parse(text.slice(index, keyEnd)), start: index, valueStart, end });
+        index = skipWhitespace(text, end);
+        if (text[index] === ',') index = skipWhitespace(text, index + 1);
+    }
+    return { members, close: index };
+}
+
+// Adds `"key": value` to the object opening at `open`, laid out like the members around it. With `sorted`
+// it goes in alphabetical position when the keys already are in order; otherwise it goes last.
+function insertMember(text, open, key, value, { indent, newline, sorted = false }) {
+    const { members, close } = objectMembers(text, open);
+    const entry = `${JSON.stringify(key)}: ${value}`;
+
+    if (members.length === 0) {
+        const lineStart = text.lastIndexOf('\n', open) + 1;
+        const outer = text.slice(lineStart).match(/^[ \t]*/)[0];
+        return `${text.slice(0, open + 1)}${newline}${outer}${indent}${entry}${newline}${outer}${text.slice(close)}`;
+    }
+
+    const inOrder = sorted && members.every((member, index) => index === 0 || members[index - 1].key.localeCompare(member.key) <= 0);
+    const next = inOrder ? members.find(member => member.key.localeCompare(key) > 0) : undefined;
+    const reference = next || members[members.length - 1];
+    const separator = text.slice(open, close).includes('\n')
+        ? `${newline}${text.slice(text.lastIndexOf('\n', reference.start) + 1, reference.start)}`
+        : ' ';
+
+    if (next) return `${text.slice(0, next.start)}${entry},${separator}${text.slice(next.start)}`;
+    return `${text.slice(0, reference.end)},${separator}${entry}${text.slice(reference.end)}`;
+}
+
+// package.json text with a polyfill's package added to `dependencies`. Only the new entry is written;
+// the rest of the file keeps its order and formatting. Null when the package is already a dependency.
+// Throws on invalid JSON.
+export function addPolyfillDependency(text, name) {
+    const polyfill = POLYFILLS[name];
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`package.json is not valid JSON: ${error.message}`);
+    }
+    if (manifest.dependencies?.[polyfill.package] || manifest.devDependencies?.[polyfill.package]) return null;
+
+    const layout = {
+        indent: text.match(/^([ \t]+)"/m)?.[1] || '  ',
+        newline: text.includes('\r\n') ? '\r\n' : '\n'
+    };
+    const version = JSON.stringify(polyfill.version);
+    const root = skipWhitespace(text, 0);
+    const dependencies = objectMembers(text, root).members.find(member => member.key === 'dependencies');
+
+    if (dependencies) {
+        if (text[dependencies.valueStart] !== '{') throw new Error('"dependencies" in package.json is not an object');
+        return insertMember(text, dependencies.valueStart, polyfill.package, version, { ...layout, sorted: true });
+    }
+    const { indent, newline } = layout;
+    const object = `{${newline}${indent}${indent}${JSON.stringify(polyfill.package)}: ${version}${newline}${indent}}`;
+    return insertMember(text, root, 'dependencies', object, layout);
+}
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addPolyfillDependency, createPolyfillImport } from './index.js';
+
+test('adds the package to dependencies in sorted order', () => {
+    const text = '{\n  "name": "app",\n  "dependencies": {\n    "react": "^18.0.0"\n  }\n}\n';
+    assert.equal(addPolyfillDependency(text, 'dialog-polyfill'),
+        '{\n  "name": "app",\n  "dependencies": {\n    "dialog-polyfill": "^0.5.6",\n    "react": "^18.0.0"\n  }\n}\n');
+});
+
+test('keeps the indentation, line endings and missing final newline', () => {
+    assert.equal(addPolyfillDependency('{\n\t"name": "app"\n}', 'core-js/actual/array/at'),
+        '{\n\t"name": "app",\n\t"dependencies": {\n\t\t"core-js": "^3.37.0"\n\t}\n}');
+    assert.equal(addPolyfillDependency('{\r\n    "name": "app"\r\n}\r\n', 'core-js/actual/array/at'),
+        '{\r\n    "name": "app",\r\n    "dependencies": {\r\n        "core-js": "^3.37.0"\r\n    }\r\n}\r\n');
+});
+
+test('inserts only the new entry and keeps the existing order and formatting', () => {
+    const text = '{\n    "name": "app",\n    "scripts": {"build": "vite build"},\n    "dependencies": {\n        "vue": "^3.4.0",\n        "axios": "^1.6.0"\n    }\n}\n';
+    assert.equal(addPolyfillDependency(text, 'dialog-polyfill'),
+        '{\n    "name": "app",\n    "scripts": {"build": "vite build"},\n    "dependencies": {\n        "vue": "^3.4.0",\n        "axios": "^1.6.0",\n        "dialog-polyfill": "^0.5.6"\n    }\n}\n');
+    assert.equal(addPolyfillDependency('{ "dependencies": { "a": "1", "z": "2" } }', 'core-js/actual/array/at'),
+        '{ "dependencies": { "a": "1", "core-js": "^3.37.0", "z": "2" } }');
+    assert.equal(addPolyfillDependency('{\n  "dependencies": {}\n}\n', 'core-js/actual/array/at'),
+        '{\n  "dependencies": {\n    "core-js": "^3.37.0"\n  }\n}\n');
+});
+
+test('leaves packages that are already installed', () => {
+    assert.equal(addPolyfillDependency('{ "devDependencies": { "core-js": "^3.0.0" } }', 'core-js/actual/object/has-own'), null);
+});
+
+test('reports package.json that is not valid JSON', () => {
+    assert.throws(() => addPolyfillDependency('{ "name": "app", }', 'dialog-polyfill'), /^Error: package\.json is not valid JSON: /);
+});
+
+test('imports a polyfill after the existing imports once', () => {
+    const code = "import a from 'a';\n\nrun();\n";
+    assert.deepEqual(createPolyfillImport(code, 'javascript', 'core-js/actual/array/at'), { offset: 19, text: "import 'core-js/actual/array/at';\n" });
+    assert.equal(createPolyfillImport("import 'core-js/actual/array/at';\n", 'javascript', 'core-js/actual/array/at'), null);
+    assert.equal(createPolyfillImport('a {}', 'css', 'core-js/actual/array/at'), null);
+});
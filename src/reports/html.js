@@ -0,0 +1,241 @@
+// Standalone HTML report: a single file with inline styles, data and script, no external assets.
+// Takes the per-file results the CLI collects ({ file, issues, summary }) and works in the browser too.
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const CHART_COLORS = {
+    high: '#dc2626',
+    medium: '#d97706',
+    low: '#16a34a',
+    error: '#dc2626',
+    warning: '#d97706',
+    info: '#2563eb',
+    'widely-available': '#16a34a',
+    'newly-available': '#2563eb',
+    'limited': '#d97706',
+    'unsupported': '#dc2626'
+};
+
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function countBy(items, key) {
+    return items.reduce((acc, item) => {
+        const value = typeof key === 'function' ? key(item) : item[key];
+        acc[value] = (acc[value] || 0) + 1;
+        return acc;
+    }, {});
+}
+
+// Horizontal bar chart as inline SVG
+function barChart(title, counts, order) {
+    const entries = (order || Object.keys(counts)).map(label => [label, counts[label] || 0]);
+    const max = Math.max(1, ...entries.map(([, value]) => value));
+    const rowHeight = 28;
+    const bars = entries.map(([label, value], index) => {
+        const width = Math.round((value / max) * 260);
+        const y = index * rowHeight;
+        return `<text x="0" y="${y + 18}" class="chart-label">${escapeHtml(label)}</text>`
+            + `<rect x="130" y="${y + 4}" width="${width}" height="18" rx="3" fill="${CHART_COLORS[label] || '#6b7280'}"></rect>`
+            + `<text x="${136 + width}" y="${y + 18}" class="chart-value">${value}</text>`;
+    }).join('');
+
+    return `<figure class="chart"><figcaption>${escapeHtml(title)}</figcaption>`
+        + `<svg role="img" aria-label="${escapeHtml(title)}" width="440" height="${entries.length * rowHeight}">${bars}</svg></figure>`;
+}
+
+// Code line with the matched feature text marked
+function highlightSnippet(code, matchedText) {
+    const index = matchedText ? code.indexOf(matchedText) : -1;
+    if (index === -1) return escapeHtml(code);
+    return escapeHtml(code.slice(0, index))
+        + `<mark>${escapeHtml(matchedText)}</mark>`
+        + escapeHtml(code.slice(index + matchedText.length));
+}
+
+function supportMatrix(issues, browsers) {
+    const features = new Map();
+    issues.forEach(issue => {
+        if (!features.has(issue.id)) features.set(issue.id, issue);
+    });
+
+    const rows = [...features.values()]
+        .sort((a, b) => a.feature.localeCompare(b.feature))
+        .map(issue => {
+            const unsupported = new Set((issue.unsupportedBrowsers || []).map(entry => entry.browser));
+            const cells = browsers.map(browser => {
+                const version = issue.browsers?.[browser] || 'None';
+                const state = unsupported.has(browser) || version === 'None' ? 'missing' : 'ok';
+                return `<td class="matrix-${state}">${escapeHtml(version)}</td>`;
+            }).join('');
+            return `<tr><th scope="row">${escapeHtml(issue.feature)}</th><td><span class="status status-${escapeHtml(issue.status)}">${escapeHtml(issue.status)}</span></td>${cells}</tr>`;
+        }).join('');
+
+    return `<table class="matrix"><thead><tr><th>Feature</th><th>Status</th>${browsers.map(browser => `<th>${escapeHtml(browser)}</th>`).join('')}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+export function generateHtmlReport(results, { title = 'Browser Compatibility Report', generatedAt = new Date(), subtitle = '' } = {}) {
+    const issues = results.flatMap(result => result.issues.map(issue => ({ ...issue, file: result.file })));
+    const browsers = [...new Set(issues.flatMap(issue => Object.keys(issue.browsers || {})))];
+    const severityCounts = countBy(issues, 'severity');
+    const guardedCount = issues.filter(issue => issue.guarded).length;
+
+    const rows = issues
+        .sort((a, b) => (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) || a.file.localeCompare(b.file) || a.line - b.line)
+        .map(issue => {
+            const missing = (issue.unsupportedBrowsers || []).map(entry => entry.browser);
+            return `<tr data-feature="${escapeHtml(issue.feature)}" data-file="${escapeHtml(issue.file)}" data-severity="${escapeHtml(issue.severity)}" data-browsers="${escapeHtml(missing.join(' '))}">`
+                + `<td data-sort="${SEVERITY_ORDER[issue.severity]}"><span class="severity severity-${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span>${issue.guarded ? ' <span class="guarded">guarded</span>' : ''}</td>`
+                + `<td><a href="${escapeHtml(issue.mdn)}" target="_blank" rel="noopener">${escapeHtml(issue.feature)}</a></td>`
+                + `<td data-sort="${escapeHtml(`${issue.file}:${String(issue.line).padStart(8, '0')}`)}">${escapeHtml(issue.file)}:${issue.line}:${issue.column}</td>`
+                + `<td><span class="status status-${escapeHtml(issue.status)}">${escapeHtml(issue.status)}</span></td>`
+                + `<td>${missing.length > 0 ? escapeHtml(missing.join(', ')) : '&mdash;'}</td>`
+                + `<td><pre><code>${highlightSnippet(issue.code || '', issue.matchedText)}</code></pre></td>`
+                + '</tr>';
+        }).join('\n');
+
+    const option = value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0; color: #1f2937; background: #f9fafb; }
+header, main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+header h1 { margin: 0 0 4px; font-size: 24px; }
+.muted { color: #6b7280; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0; }
+.card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; min-width: 120px; }
+.card strong { display: block; font-size: 22px; }
+.charts { display: flex; flex-wrap: wrap; gap: 24px; }
+.chart { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; margin: 0; }
+.chart figcaption { font-weight: 600; margin-bottom: 8px; }
+.chart-label, .chart-value { font-size: 12px; fill: #374151; }
+section { margin-top: 32px; }
+.filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+.filters input, .filters select { padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; }
+table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #e5e7eb; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+#issues th { cursor: pointer; user-select: none; white-space: nowrap; }
+#issues th[aria-sort="ascending"]::after { content: " \\25B2"; }
+#issues th[aria-sort="descending"]::after { content: " \\25BC"; }
+pre { margin: 0; white-space: pre-wrap; word-break: break-word; }
+code { font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; }
+mark { background: #fde68a; border-radius: 2px; }
+.severity, .status, .guarded { display: inline-block; padding: 1px 6px; border-radius: 4px; font-size: 12px; }
+.severity-error { background: #fee2e2; color: #991b1b; }
+.severity-warning { background: #fef3c7; color: #92400e; }
+.severity-info { background: #dbeafe; color: #1e40af; }
+.guarded { background: #dcfce7; color: #166534; }
+.status-widely-available { background: #dcfce7; color: #166534; }
+.status-newly-available { background: #dbeafe; color: #1e40af; }
+.status-limited, .status-unsupported { background: #fef3c7; color: #92400e; }
+.matrix td { text-align: center; }
+.matrix-ok { color: #166534; }
+.matrix-missing { background: #fee2e2; color: #991b1b; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<div class="muted">Generated ${escapeHtml(generatedAt.toISOString())}${subtitle ? ` &middot; ${escapeHtml(subtitle)}` : ''}</div>
+<div class="cards">
+<div class="card"><strong>${results.length}</strong>files</div>
+<div class="card"><strong>${issues.length}</strong>findings</div>
+<div class="card"><strong>${severityCounts.error || 0}</strong>errors</div>
+<div class="card"><strong>${severityCounts.warning || 0}</strong>warnings</div>
+<div class="card"><strong>${issues.length - guardedCount} / ${guardedCount}</strong>unguarded / guarded</div>
+</div>
+</header>
+<main>
+<div class="charts">
+${barChart('Files by risk level', countBy(results, result => result.summary.riskLevel), ['high', 'medium', 'low'])}
+${barChart('Findings by severity', severityCounts, ['error', 'warning', 'info'])}
+${barChart('Findings by Baseline status', countBy(issues, 'status'), ['widely-available', 'newly-available', 'limited', 'unsupported'])}
+</div>
+
+<section>
+<h2>Findings</h2>
+<div class="filters">
+<input id="filter-feature" type="search" placeholder="Filter by feature" aria-label="Filter by feature">
+<select id="filter-file" aria-label="Filter by file"><option value="">All files</option>${results.map(result => option(result.file)).join('')}</select>
+<select id="filter-severity" aria-label="Filter by severity"><option value="">All severities</option>${['error', 'warning', 'info'].map(option).join('')}</select>
+<select id="filter-browser" aria-label="Filter by unsupported browser"><option value="">Any browser</option>${browsers.map(option).join('')}</select>
+<span id="filter-count" class="muted"></span>
+</div>
+<table id="issues">
+<thead><tr><th>Severity</th><th>Feature</th><th>Location</th><th>Status</th><th>Unsupported in</th><th>Code</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</section>
+
+<section>
+<h2>Browser support matrix</h2>
+${supportMatrix(issues, browsers)}
+</section>
+</main>
+<script>
+(function () {
+    var table = document.getElementById('issues');
+    var body = table.tBodies[0];
+    var rows = Array.prototype.slice.call(body.rows);
+    var filters = {
+        feature: document.getElementById('filter-feature'),
+        file: document.getElementById('filter-file'),
+        severity: document.getElementById('filter-severity'),
+        browser: document.getElementById('filter-browser')
+    };
+
+    function applyFilters() {
+        var feature = filters.feature.value.toLowerCase();
+        var visible = 0;
+        rows.forEach(function (row) {
+            var show = (!feature || row.dataset.feature.toLowerCase().indexOf(feature) !== -1)
+                && (!filters.file.value || row.dataset.file === filters.file.value)
+                && (!filters.severity.value || row.dataset.severity === filters.severity.value)
+                && (!filters.browser.value || row.dataset.browsers.split(' ').indexOf(filters.browser.value) !== -1);
+            row.hidden = !show;
+            if (show) visible++;
+        });
+        document.getElementById('filter-count').textContent = visible + ' of ' + rows.length + ' findings';
+    }
+
+    function cellValue(row, index) {
+        var cell = row.cells[index];
+        return cell.dataset.sort !== undefined ? cell.dataset.sort : cell.textContent.trim();
+    }
+
+    Array.prototype.forEach.call(table.tHead.rows[0].cells, function (header, index) {
+        header.addEventListener('click', function () {
+            var ascending = header.getAttribute('aria-sort') !== 'ascending';
+            Array.prototype.forEach.call(table.tHead.rows[0].cells, function (other) { other.removeAttribute('aria-sort'); });
+            header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+            rows.sort(function (a, b) {
+                var result = cellValue(a, index).localeCompare(cellValue(b, index), undefined, { numeric: true });
+                return ascending ? result : -result;
+            });
+            rows.forEach(function (row) { body.appendChild(row); });
+        });
+    });
+
+    Object.keys(filters).forEach(function (key) {
+        filters[key].addEventListener('input', applyFilters);
+    });
+    applyFilters();
+})();
+</script>
+</body>
+</html>
+`;
+}
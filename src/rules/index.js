@@ -0,0 +1,86 @@
+// Per-feature rule configuration: maps feature IDs, or feature groups as "group:<id>",
+// to off | info | warn | error. "allow" is accepted as a synonym for info.
+
+export const RULE_LEVELS = ['off', 'info', 'warn', 'error', 'allow'];
+
+const RULE_SEVERITIES = {
+    off: null,
+    allow: 'info',
+    info: 'info',
+    warn: 'warning',
+    error: 'error'
+};
+
+// IDs used before the switch to web-features identifiers
+export const FEATURE_ALIASES = {
+    'css-has': 'has',
+    'css-nesting': 'nesting',
+    'temporal-api': 'temporal',
+    'fetch-api': 'fetch',
+    'dialog-api': 'dialog'
+};
+
+const GROUP_PREFIX = 'group:';
+
+export function resolveFeatureId(id) {
+    return FEATURE_ALIASES[id] || id;
+}
+
+// Validates a rules object and returns { features, groups } with aliases resolved
+export function normalizeRules(rules = {}) {
+    if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('Rules must be an object mapping feature IDs or "group:<id>" to off, info, warn or error');
+    }
+
+    const features = {};
+    const groups = {};
+    const problems = [];
+
+    Object.entries(rules).forEach(([key, level]) => {
+        const normalizedLevel = String(level).toLowerCase();
+        if (!RULE_LEVELS.includes(normalizedLevel)) {
+            problems.push(`"${key}": "${level}" is not one of off, info, warn, error`);
+            return;
+        }
+        if (key.startsWith(GROUP_PREFIX)) {
+            groups[key.slice(GROUP_PREFIX.length)] = normalizedLevel;
+        } else {
+            features[resolveFeatureId(key)] = normalizedLevel;
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid rules:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+    return { features, groups };
+}
+
+// A group and the groups it sits in, nearest first, from web-features group data
+function groupAncestry(group, featureGroups) {
+    const ancestry = [];
+    let current = group;
+    while (current && !ancestry.includes(current)) {
+        ancestry.push(current);
+        current = featureGroups[current]?.parent;
+    }
+    return ancestry;
+}
+
+// The rule level for a feature: its own ID first, then its groups from the most to the least specific
+export function findRule(feature, rules, featureGroups = {}) {
+    if (!rules) return null;
+    if (rules.features[feature.id]) return rules.features[feature.id];
+
+    const groups = (feature.groups || []).map(group => groupAncestry(group, featureGroups));
+    const depth = Math.max(0, ...groups.map(ancestry => ancestry.length));
+    for (let level = 0; level < depth; level++) {
+        const match = groups.map(ancestry => ancestry[level]).find(group => group && rules.groups[group]);
+        if (match) return rules.groups[match];
+    }
+    return null;
+}
+
+// undefined: no rule applies, null: the feature is turned off, otherwise the severity to report
+export function ruleSeverity(level) {
+    return level ? RULE_SEVERITIES[level] : undefined;
+}
@@ -0,0 +1,150 @@
+// Inline suppression directives, ESLint style:
+//   // baseline-copilot-disable-next-line optional-chaining
+//   /* baseline-copilot-disable has */ ... /* baseline-copilot-enable has */
+//   <!-- baseline-copilot-disable-line dialog -- reason -->
+// Without feature IDs a directive applies to every feature.
+
+import { collectComments } from '../detectors/index.js';
+import { createLocator } from '../detectors/location.js';
+import { resolveFeatureId } from '../rules/index.js';
+
+export const DIRECTIVE_PREFIX = 'baseline-copilot-';
+
+const DIRECTIVE_TYPES = ['disable-next-line', 'disable-line', 'disable', 'enable'];
+
+// Fallback for languages without a parser and code that does not parse. Line comments only exist in
+// JavaScript; CSS and HTML embed JavaScript, so block and HTML comments are accepted everywhere.
+const COMMENT_PATTERN = /\/\*([\s\S]*?)\*\/|<!--([\s\S]*?)-->|\/\/([^\n]*)/g;
+const DIRECTIVE_PATTERN = /^\s*baseline-copilot-(disable-next-line|disable-line|disable|enable)\b([\s\S]*)$/;
+
+const LINE_COMMENT_LANGUAGES = new Set(['javascript', 'javascriptreact', 'jsx', 'typescript', 'typescriptreact', 'tsx']);
+
+function scanComments(code, language) {
+    const allowLineComments = LINE_COMMENT_LANGUAGES.has(language) || language === 'html';
+    return [...code.matchAll(COMMENT_PATTERN)]
+        .filter(comment => comment[3] === undefined || allowLineComments)
+        .map(comment => ({ start: comment.index, end: comment.index + comment[0].length, body: comment[1] ?? comment[2] ?? comment[3] }));
+}
+
+function findComments(code, language) {
+    try {
+        return collectComments(code, language) ?? scanComments(code, language);
+    } catch (error) {
+        return scanComments(code, language);
+    }
+}
+
+export function parseDirectives(code, language = 'javascript') {
+    const locator = createLocator(code);
+    const directives = [];
+
+    for (const { start, end, body } of findComments(code, language)) {
+        const match = body.match(DIRECTIVE_PATTERN);
+        if (!match || !DIRECTIVE_TYPES.includes(match[1])) continue;
+
+        // Anything after "--" is a free-form justification
+        const ids = match[2].split('--')[0].split(/[\s,]+/).filter(Boolean).map(resolveFeatureId);
+        const from = locator.locate(start);
+        const to = locator.locate(end);
+
+        directives.push({
+            type: match[1],
+            ids: ids.length > 0 ? ids : null,
+            start,
+            end,
+            line: from.line,
+            column: from.column,
+            endLine: to.line,
+            endColumn: to.column,
+            text: code.slice(start, end),
+            used: new Set()
+        });
+    }
+
+    return directives;
+}
+
+function covers(directive, id) {
+    return directive.ids === null || directive.ids.includes(id);
+}
+
+function markUsed(directive, id) {
+    directive.used.add(directive.ids === null ? '*' : id);
+    return directive;
+}
+
+// The directive that suppresses an issue, if any
+function findSuppression(issue, directives) {
+    const lineDirective = directives.find(directive =>
+        ((directive.type === 'disable-next-line' && directive.endLine + 1 === issue.line)
+            || (directive.type === 'disable-line' && directive.line <= issue.line && directive.endLine >= issue.line))
+        && covers(directive, issue.id)
+    );
+    if (lineDirective) return markUsed(lineDirective, issue.id);
+
+    // Replay disable/enable blocks up to the issue
+    let disabledAll = null;
+    const disabled = new Map();
+    directives
+        .filter(directive => (directive.type === 'disable' || directive.type === 'enable') && directive.end <= issue.start)
+        .forEach(directive => {
+            if (directive.type === 'disable') {
+                if (directive.ids === null) disabledAll = directive;
+                else directive.ids.forEach(id => disabled.set(id, directive));
+            } else if (directive.ids === null) {
+                disabledAll = null;
+                disabled.clear();
+            } else {
+                directive.ids.forEach(id => disabled.delete(id));
+            }
+        });
+
+    const blockDirective = disabled.get(issue.id) || disabledAll;
+    return blockDirective ? markUsed(blockDirective, issue.id) : null;
+}
+
+// Splits issues into reported and suppressed ones and lists directives that suppressed nothing
+export function applySuppressions(issues, directives) {
+    const reported = [];
+    const suppressed = [];
+
+    issues.forEach(issue => {
+        const directive = findSuppression(issue, directives);
+        if (directive) suppressed.push({ ...issue, suppressedBy: { line: directive.line, type: directive.type } });
+        else reported.push(issue);
+    });
+
+    const unused = directives
+        .filter(directive => directive.type !== 'enable')
+        .map(directive => ({
+            ...directive,
+            unusedIds: directive.ids === null
+                ? (directive.used.size === 0 ? null : [])
+                : directive.ids.filter(id => !directive.used.has(id))
+        }))
+        .filter(directive => directive.unusedIds === null || directive.unusedIds.length > 0)
+        .map(({ type, ids, unusedIds, line, column, endLine, endColumn, start, end, text }) => ({
+            type,
+            ids: unusedIds,
+            line,
+            column,
+            endLine,
+            endColumn,
+            start,
+            end,
+            text,
+            message: unusedIds === null
+                ? `Unused ${DIRECTIVE_PREFIX}${type} directive (no findings were suppressed)`
+                : `Unused ${DIRECTIVE_PREFIX}${type} directive (no findings for ${unusedIds.join(', ')})`
+        }));
+
+    return { reported, suppressed, unused };
+}
+
+// Comment that suppresses a feature on the following line, in the language's comment syntax
+export function suppressionComment(id, language) {
+    const directive = `${DIRECTIVE_PREFIX}disable-next-line ${id}`;
+    if (language === 'css') return `/* ${directive} */`;
+    if (language === 'html') return `<!-- ${directive} -->`;
+    return `// ${directive}`;
+}
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applySuppressions, parseDirectives, suppressionComment } from './index.js';
+
+const issue = (id, code, text, line = 1) => {
+    const start = code.indexOf(text);
+    return { id, line, start, end: start + text.length };
+};
+
+const reportedIds = (code, language, issues) => applySuppressions(issues, parseDirectives(code, language)).reported.map(item => item.id);
+
+test('parses directive types, feature IDs and justifications', () => {
+    const [directive] = parseDirectives('// baseline-copilot-disable-next-line has, css-nesting -- checked with design\n', 'javascript');
+    assert.equal(directive.type, 'disable-next-line');
+    assert.deepEqual(directive.ids, ['has', 'nesting']);
+    assert.equal(directive.line, 1);
+    assert.equal(directive.text, '// baseline-copilot-disable-next-line has, css-nesting -- checked with design');
+});
+
+test('disable-next-line and disable-line suppress only their line', () => {
+    const code = '// baseline-copilot-disable-next-line\na?.b;\na?.b; // baseline-copilot-disable-line optional-chaining\na?.b;';
+    const issues = [2, 3, 4].map(line => ({ id: 'optional-chaining', line, start: 0, end: 0 }));
+    const { reported, suppressed } = applySuppressions(issues, parseDirectives(code, 'javascript'));
+    assert.deepEqual(reported.map(item => item.line), [4]);
+    assert.deepEqual(suppressed.map(item => item.suppressedBy.type), ['disable-next-line', 'disable-line']);
+});
+
+test('disable / enable blocks cover the range between them', () => {
+    const code = '/* baseline-copilot-disable has */\na:has(b) {}\n/* baseline-copilot-enable has */\nc:has(d) {}';
+    const issues = [issue('has', code, ':has(b)', 2), issue('has', code, ':has(d)', 4)];
+    assert.deepEqual(applySuppressions(issues, parseDirectives(code, 'css')).reported.map(item => item.line), [4]);
+});
+
+test('reports directives that suppress nothing', () => {
+    const code = '// baseline-copilot-disable-next-line has, dialog\nel.showModal();';
+    const { unused } = applySuppressions([{ id: 'dialog', line: 2, start: 50, end: 59 }], parseDirectives(code, 'javascript'));
+    assert.equal(unused.length, 1);
+    assert.deepEqual(unused[0].ids, ['has']);
+    assert.equal(unused[0].message, 'Unused baseline-copilot-disable-next-line directive (no findings for has)');
+});
+
+test('ignores comment markers inside JavaScript strings', () => {
+    const code = '"https://x"; a?.b /* baseline-copilot-disable-line optional-chaining */';
+    assert.deepEqual(reportedIds(code, 'javascript', [issue('optional-chaining', code, '?.')]), []);
+});
+
+test('ignores directive text inside string literals', () => {
+    const code = 'const s = "/* baseline-copilot-disable */";\nconst t = a?.b;';
+    assert.deepEqual(parseDirectives(code, 'javascript'), []);
+    assert.deepEqual(reportedIds(code, 'javascript', [issue('optional-chaining', code, '?.', 2)]), ['optional-chaining']);
+});
+
+test('ignores comment markers inside HTML attribute values', () => {
+    const code = '<a href="https://example.com">x</a><dialog open></dialog> <!-- baseline-copilot-disable-line dialog -->';
+    assert.deepEqual(reportedIds(code, 'html', [issue('dialog', code, 'dialog')]), []);
+});
+
+test('reads directives in inline scripts and styles', () => {
+    const code = '<script>\n// baseline-copilot-disable-next-line\nx?.y;\n</script>\n<style>\n/* baseline-copilot-disable-next-line */\na:has(b) {}\n</style>';
+    const directives = parseDirectives(code, 'html');
+    assert.deepEqual(directives.map(directive => directive.line), [2, 6]);
+    assert.deepEqual(directives.map(directive => code.slice(directive.start, directive.end)), [
+        '// baseline-copilot-disable-next-line',
+        '/* baseline-copilot-disable-next-line */'
+    ]);
+});
+
+test('ignores CSS comment markers inside strings', () => {
+    const code = 'a::after { content: "/* baseline-copilot-disable */"; }\nb:has(c) {}';
+    assert.deepEqual(parseDirectives(code, 'css'), []);
+});
+
+test('falls back to scanning when the code does not parse', () => {
+    const code = 'a { color: red\n/* baseline-copilot-disable-next-line has */\nb:has(c) {}';
+    assert.deepEqual(parseDirectives(code, 'css').map(directive => directive.ids), [['has']]);
+});
+
+test('writes suppression comments in the language\'s comment syntax', () => {
+    assert.equal(suppressionComment('has', 'css'), '/* baseline-copilot-disable-next-line has */');
+    assert.equal(suppressionComment('dialog', 'html'), '<!-- baseline-copilot-disable-next-line dialog -->');
+    assert.equal(suppressionComment('array-at', 'typescript'), '// baseline-copilot-disable-next-line array-at');
+});
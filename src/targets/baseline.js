@@ -0,0 +1,65 @@
+// Baseline target mode: judge features against a Baseline year ("Baseline 2023") or
+// against "widely"/"newly" available, evaluated as of a fixed date for reproducible runs.
+
+const TARGET_KEYWORDS = ['widely', 'newly'];
+
+// "2023", "widely" or "newly"
+export function parseBaselineTarget(spec) {
+    const value = String(spec).trim().toLowerCase();
+    if (/^\d{4}$/.test(value)) {
+        return { type: 'year', year: Number(value), label: value };
+    }
+    if (TARGET_KEYWORDS.includes(value)) {
+        return { type: value, label: value };
+    }
+    throw new Error(`Unknown Baseline target "${spec}". Expected a year (e.g. 2024), "widely" or "newly"`);
+}
+
+// Accepts a YYYY-MM-DD string or a Date
+export function parseAsOf(value) {
+    if (value instanceof Date) return value;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+        throw new Error(`Invalid as-of date "${value}". Expected YYYY-MM-DD`);
+    }
+    const date = new Date(`${String(value).trim()}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid as-of date "${value}"`);
+    }
+    return date;
+}
+
+export function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Baseline status of a feature on a given day
+export function baselineStatusAt(baseline, support = {}, asOf = new Date()) {
+    // Not Baseline yet: "limited" while some browser ships it, "unsupported" otherwise
+    if (!baseline || !baseline.low_date) {
+        return Object.keys(support).length > 0 ? 'limited' : 'unsupported';
+    }
+
+    const lowDate = new Date(baseline.low_date);
+    const highDate = baseline.high_date ? new Date(baseline.high_date) : null;
+
+    if (highDate && highDate <= asOf) return 'widely-available';
+    if (lowDate <= asOf) return 'newly-available';
+    return 'limited';
+}
+
+// Whether a feature is within the target on a given day. A year target includes every
+// feature that became Baseline in that year or before.
+export function meetsBaselineTarget(baseline, target, asOf = new Date()) {
+    const status = baselineStatusAt(baseline, {}, asOf);
+    switch (target.type) {
+        case 'widely':
+            return status === 'widely-available';
+        case 'newly':
+            return status === 'widely-available' || status === 'newly-available';
+        case 'year':
+            return status !== 'limited' && status !== 'unsupported'
+                && new Date(baseline.low_date).getUTCFullYear() <= target.year;
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,45 @@
+// Browserslist queries as a target definition.
+// Resolves a query (or the project's package.json / .browserslistrc config) to the
+// minimum version per web-features browser. Node-only: config lookup reads the filesystem.
+
+import browserslist from 'browserslist';
+import { compareVersions } from './index.js';
+
+// browserslist agent names for the browsers web-features reports support for
+const BROWSERSLIST_AGENTS = {
+    chrome: 'chrome',
+    edge: 'edge',
+    firefox: 'firefox',
+    safari: 'safari',
+    and_chr: 'chrome_android',
+    and_ff: 'firefox_android',
+    ios_saf: 'safari_ios'
+};
+
+// Returns the query the project declares, or null when there is no browserslist config
+export function findBrowserslistConfig(path = process.cwd(), env) {
+    return browserslist.loadConfig({ path, env }) || null;
+}
+
+// Resolves a query to { browser: minimumVersion }. Without a query the config found
+// from `path` is used, falling back to browserslist's own defaults.
+export function resolveBrowserslist(query, { path = process.cwd(), env } = {}) {
+    const targets = {};
+
+    browserslist(query, { path, env }).forEach(entry => {
+        const [agent, versions] = entry.split(' ');
+        const browser = BROWSERSLIST_AGENTS[agent];
+        // Ranges such as "ios_saf 17.4-17.5" count from their first version; "TP" is not a release
+        const version = versions.split('-')[0];
+        if (!browser || !/^[\d.]+$/.test(version)) return;
+
+        if (!targets[browser] || compareVersions(version, targets[browser]) < 0) {
+            targets[browser] = version;
+        }
+    });
+
+    if (Object.keys(targets).length === 0) {
+        throw new Error(`Browserslist query selects none of the supported browsers: ${Object.values(BROWSERSLIST_AGENTS).join(', ')}`);
+    }
+    return targets;
+}
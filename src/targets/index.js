@@ -0,0 +1,150 @@
+// Target browser matrix: parses queries such as "safari >= 15", "chrome last 2 versions"
+// or "firefox ESR" and resolves them to the minimum version required for each browser.
+
+export const BROWSERS = ['chrome', 'chrome_android', 'edge', 'firefox', 'firefox_android', 'safari', 'safari_ios'];
+
+const BROWSER_ALIASES = {
+    'chrome': 'chrome',
+    'edge': 'edge',
+    'firefox': 'firefox',
+    'ff': 'firefox',
+    'safari': 'safari',
+    'chrome_android': 'chrome_android',
+    'and_chr': 'chrome_android',
+    'chrome android': 'chrome_android',
+    'chromeandroid': 'chrome_android',
+    'firefox_android': 'firefox_android',
+    'and_ff': 'firefox_android',
+    'firefox android': 'firefox_android',
+    'firefoxandroid': 'firefox_android',
+    'safari_ios': 'safari_ios',
+    'ios_saf': 'safari_ios',
+    'ios': 'safari_ios',
+    'ios safari': 'safari_ios',
+    'safari ios': 'safari_ios'
+};
+
+// Firefox Extended Support Releases, newest last
+const FIREFOX_ESR_VERSIONS = ['78', '91', '102', '115', '128', '140'];
+
+const DEFAULT_LAST_VERSIONS = 2;
+
+export function normalizeBrowser(name) {
+    const browser = BROWSER_ALIASES[name.trim().toLowerCase().replace(/\s+/g, ' ')];
+    if (!browser) {
+        throw new Error(`Unknown target browser "${name}". Expected one of: ${BROWSERS.join(', ')}`);
+    }
+    return browser;
+}
+
+// Accepts an array of queries or a single comma-separated string
+export function parseTargets(spec) {
+    const queries = (Array.isArray(spec) ? spec : [spec])
+        .flatMap(entry => String(entry).split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    return queries.map(query => {
+        let match = query.match(/^(.+?)\s*>=\s*([\d.]+)$/) || query.match(/^(.+?)\s+([\d.]+)$/);
+        if (match) return { query, browser: normalizeBrowser(match[1]), type: 'min', version: match[2] };
+
+        match = query.match(/^(.+?)\s+last\s+(\d+)\s+versions?$/i);
+        if (match) return { query, browser: normalizeBrowser(match[1]), type: 'last', count: Number(match[2]) };
+
+        match = query.match(/^last\s+(\d+)\s+(.+?)\s+versions?$/i);
+        if (match) return { query, browser: normalizeBrowser(match[2]), type: 'last', count: Number(match[1]) };
+
+        match = query.match(/^(.+?)\s+esr$/i);
+        if (match) {
+            const browser = normalizeBrowser(match[1]);
+            if (browser !== 'firefox') throw new Error(`"${query}": only Firefox has ESR releases`);
+            return { query, browser, type: 'esr' };
+        }
+
+        return { query, browser: normalizeBrowser(query), type: 'last', count: DEFAULT_LAST_VERSIONS };
+    });
+}
+
+export function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// Released versions of a browser, oldest first, from web-features browser data
+export function releasedVersions(browserReleases, browser, now = new Date()) {
+    const releases = browserReleases?.[browser]?.releases || [];
+    return releases
+        .filter(release => !release.date || new Date(release.date) <= now)
+        .map(release => release.version)
+        .sort(compareVersions);
+}
+
+function resolveQuery(query, browserReleases, now) {
+    switch (query.type) {
+        case 'min':
+            return query.version;
+        case 'last': {
+            const versions = releasedVersions(browserReleases, query.browser, now);
+            // Without release data we cannot tell how old "last N" is; null means "current"
+            return versions.length > 0 ? versions[Math.max(0, versions.length - query.count)] : null;
+        }
+        case 'esr': {
+            const latest = releasedVersions(browserReleases, 'firefox', now).pop();
+            const released = FIREFOX_ESR_VERSIONS.filter(version => !latest || compareVersions(version, latest) <= 0);
+            return released[released.length - 1];
+        }
+        default:
+            return null;
+    }
+}
+
+// Resolves queries to { browser: minimumVersion }. Several queries for one browser keep the oldest.
+export function resolveTargets(spec, browserReleases = {}, { now = new Date() } = {}) {
+    const targets = {};
+    parseTargets(spec).forEach(query => {
+        const version = resolveQuery(query, browserReleases, now);
+        const current = targets[query.browser];
+        if (!(query.browser in targets) || (version !== null && (current === null || compareVersions(version, current) < 0))) {
+            targets[query.browser] = version;
+        }
+    });
+    return targets;
+}
+
+// Splits the targeted browsers into those that support a feature and those that lack it
+export function evaluateSupport(support = {}, targets = {}) {
+    const supported = [];
+    const unsupported = [];
+
+    Object.entries(targets).forEach(([browser, version]) => {
+        const since = support[browser];
+        if (since && (version === null || compareVersions(since, version) <= 0)) {
+            supported.push(browser);
+        } else {
+            unsupported.push({ browser, target: version, since: since || null });
+        }
+    });
+
+    return { supported, unsupported };
+}
+
+export function formatUnsupported({ browser, target, since }) {
+    const name = target ? `${browser} ${target}` : browser;
+    return since ? `${name} (needs ${since}+)` : `${name} (no support)`;
+}
+
+// The core browser that shipped a feature last, i.e. the one holding back wider availability.
+// A browser without support is returned with a null version.
+export function lastShippedBrowser(support = {}, browserReleases = {}) {
+    const missing = BROWSERS.find(browser => !support[browser]);
+    if (missing) return { browser: missing, version: null };
+
+    const releaseDate = browser => browserReleases[browser]?.releases?.find(release => release.version === support[browser])?.date || '';
+    const browser = BROWSERS.reduce((latest, candidate) => releaseDate(candidate) > releaseDate(latest) ? candidate : latest);
+    return { browser, version: support[browser] };
+}
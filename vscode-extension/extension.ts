@@ -1,6 +1,19 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
-import { EnhancedBaselineAnalyzer } from './analyzer';
+import { Worker } from 'worker_threads';
+import { EnhancedBaselineAnalyzer } from '../enhanced-analyzer.js';
+import { BROWSERS, formatUnsupported, lastShippedBrowser } from '../src/targets/index.js';
+import { suppressionComment } from '../src/suppressions/index.js';
+import { createFallbackEdit } from '../src/fallbacks/index.js';
+import { POLYFILLS, addPolyfillDependency, createPolyfillImport } from '../src/polyfills/index.js';
+import { TRANSFORMS, applyFixes } from '../src/fixes/index.js';
+
+// Feature and polyfill names come from the data at runtime, so look them up as plain records
+const polyfillsByName: Record<string, any> = POLYFILLS;
+const transformsById: Record<string, any> = TRANSFORMS;
+
+const GUARDED_NOTE = ' (guarded by feature detection)';
+const SOURCE_GLOB = '**/*.{js,ts,jsx,tsx,css,html}';
 
 interface CompatibilityIssue {
     feature: string;
@@ -15,13 +28,47 @@ interface CompatibilityIssue {
 export function activate(context: vscode.ExtensionContext) {
     console.log('Baseline Copilot extension is now active!');
     
-    const analyzer = new EnhancedBaselineAnalyzer();
+    const analyzer = new EnhancedBaselineAnalyzer(analyzerOptions());
     const diagnosticCollection = vscode.languages.createDiagnosticCollection('baseline-copilot');
+    // Analyses per document version; diagnostics, hovers, hints, gutter icons and CodeLens all render from it
+    const analysisCache = new AnalysisCache(analyzer);
+    // Workspace scans and files changed on disk are analyzed in a worker thread from the file contents
+    const scanner = new WorkspaceScanner(context.asAbsolutePath(path.join('out', 'workspaceWorker.js')), analyzerOptions);
+    let workspaceScanned = false;
+    context.subscriptions.push(scanner);
+    // Latest analysis per file, from an editor or from disk; the dashboard aggregates these
+    const fileResults = new Map<string, { uri: vscode.Uri; analysis: any }>();
+    let dashboard: vscode.WebviewPanel | undefined;
     const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
     
     // Set context for conditional UI elements
     vscode.commands.executeCommand('setContext', 'baselineCopilot.activated', true);
     
+    // Workspace findings tree, shown in the explorer and in the Baseline Copilot panel
+    const treeProvider = new BaselineTreeProvider(
+        diagnosticCollection,
+        analyzer,
+        context.workspaceState.get<GroupingMode>('baselineCopilot.treeGrouping', 'feature')
+    );
+    vscode.commands.executeCommand('setContext', 'baselineCopilot.treeGrouping', treeProvider.grouping);
+    context.subscriptions.push(
+        vscode.window.createTreeView('baselineCompatibility', { treeDataProvider: treeProvider, showCollapseAll: true }),
+        vscode.window.createTreeView('baselinePanelFindings', { treeDataProvider: treeProvider, showCollapseAll: true })
+    );
+    
+    // Diagnostics change in bursts during workspace analysis, so rebuild the tree once they settle
+    let treeRefresh: NodeJS.Timeout;
+    context.subscriptions.push(
+        vscode.languages.onDidChangeDiagnostics(event => {
+            if (!event.uris.some(uri => diagnosticCollection.has(uri) || fileResults.has(uri.toString()))) return;
+            clearTimeout(treeRefresh);
+            treeRefresh = setTimeout(() => {
+                treeProvider.refresh();
+                updateDashboard();
+            }, 200);
+        })
+    );
+    
     // Initialize status bar
     statusBarItem.text = "$(target) Baseline: Ready";
     statusBarItem.tooltip = "Baseline Copilot - Browser Compatibility Analysis";
@@ -33,22 +80,123 @@ export function activate(context: vscode.ExtensionContext) {
         vscode.commands.registerCommand('baselineCopilot.analyzeFile', () => analyzeCurrentFile()),
         vscode.commands.registerCommand('baselineCopilot.analyzeWorkspace', () => analyzeWorkspace()),
         vscode.commands.registerCommand('baselineCopilot.generateReport', () => generateReport()),
-        vscode.commands.registerCommand('baselineCopilot.showPanel', () => showCompatibilityPanel())
+        vscode.commands.registerCommand('baselineCopilot.showPanel', () => showCompatibilityPanel()),
+        vscode.commands.registerCommand('baselineCopilot.addFallback', (uri: vscode.Uri, id: string, range: vscode.Range) => addFallback(uri, id, range)),
+        vscode.commands.registerCommand('baselineCopilot.addPolyfill', (uri: vscode.Uri, id: string) => addPolyfill(uri, id)),
+        vscode.commands.registerCommand('baselineCopilot.groupByFeature', () => setGrouping('feature')),
+        vscode.commands.registerCommand('baselineCopilot.groupByFile', () => setGrouping('file')),
+        vscode.commands.registerCommand('baselineCopilot.groupBySeverity', () => setGrouping('severity')),
+        vscode.commands.registerCommand('baselineCopilot.openMdn', (node: TreeNode) => openMdn(node)),
+        vscode.commands.registerCommand('baselineCopilot.suppressFinding', (node: FindingNode) => suppressFinding(node)),
+        vscode.commands.registerCommand('baselineCopilot.applyFix', (node: FindingNode) => applyFix(node))
     );
     
     // Register providers
     context.subscriptions.push(
         vscode.languages.registerHoverProvider(
             ['javascript', 'typescript', 'css', 'html', 'jsx', 'tsx'],
-            new BaselineHoverProvider(analyzer)
+            new BaselineHoverProvider(analysisCache)
         ),
         vscode.languages.registerCodeActionsProvider(
             ['javascript', 'typescript', 'css', 'html', 'jsx', 'tsx'],
-            new BaselineCodeActionProvider(),
+            new BaselineCodeActionProvider(analyzer),
             { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
         )
     );
     
+    // Inline hints: end-of-line Baseline summaries, gutter icons for features that are not yet widely available,
+    // and a per-file CodeLens summary, all controlled by baselineCopilot.showInlineHints
+    const hintDecoration = vscode.window.createTextEditorDecorationType({
+        after: {
+            color: new vscode.ThemeColor('editorCodeLens.foreground'),
+            fontStyle: 'italic',
+            margin: '0 0 0 2em'
+        }
+    });
+    const newlyAvailableDecoration = vscode.window.createTextEditorDecorationType({
+        gutterIconPath: context.asAbsolutePath(path.join('resources', 'newly-available.svg')),
+        gutterIconSize: 'contain',
+        overviewRulerColor: '#3b82f6',
+        overviewRulerLane: vscode.OverviewRulerLane.Right
+    });
+    const limitedAvailabilityDecoration = vscode.window.createTextEditorDecorationType({
+        gutterIconPath: context.asAbsolutePath(path.join('resources', 'limited-availability.svg')),
+        gutterIconSize: 'contain',
+        overviewRulerColor: '#f97316',
+        overviewRulerLane: vscode.OverviewRulerLane.Right
+    });
+    const codeLensProvider = new BaselineCodeLensProvider(analysisCache, showInlineHints);
+    
+    context.subscriptions.push(
+        hintDecoration,
+        newlyAvailableDecoration,
+        limitedAvailabilityDecoration,
+        vscode.languages.registerCodeLensProvider(
+            ['javascript', 'typescript', 'css', 'html', 'jsx', 'tsx'],
+            codeLensProvider
+        ),
+        vscode.window.onDidChangeVisibleTextEditors(editors => editors.forEach(editor => updateInlineHints(editor))),
+        vscode.workspace.onDidCloseTextDocument(document => analysisCache.delete(document.uri)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (!event.affectsConfiguration('baselineCopilot.showInlineHints')) return;
+            vscode.window.visibleTextEditors.forEach(editor => updateInlineHints(editor));
+            codeLensProvider.refresh();
+        })
+    );
+    
+    // Re-evaluate open documents when the target browsers, rules or risk tolerance change
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration((event) => {
+            const settings = ['targetBrowsers', 'rules', 'riskTolerance'];
+            if (!settings.some(setting => event.affectsConfiguration(`baselineCopilot.${setting}`))) {
+                return;
+            }
+            try {
+                const { targets, rules, riskTolerance } = analyzerOptions();
+                analyzer.setTargets(targets);
+                analyzer.setRules(rules);
+                analyzer.setRiskTolerance(riskTolerance);
+            } catch (error) {
+                vscode.window.showErrorMessage(`Baseline Copilot: ${error instanceof Error ? error.message : error}`);
+                return;
+            }
+            analysisCache.clear();
+            scanner.configure();
+            vscode.workspace.textDocuments.forEach(document => analyzeDocument(document));
+            
+            // Files analyzed from disk are refreshed in the background
+            const closedFiles: vscode.Uri[] = [];
+            diagnosticCollection.forEach(uri => {
+                if (!isOpen(uri)) closedFiles.push(uri);
+            });
+            scanFiles(closedFiles);
+        })
+    );
+    
+    // Files changed on disk outside an editor (checkouts, formatters, code generators) are re-analyzed in
+    // the background. Before a workspace scan only files that already have results are kept up to date.
+    const watcher = vscode.workspace.createFileSystemWatcher(SOURCE_GLOB);
+    const changedFiles = new Map<string, vscode.Uri>();
+    let changeFlush: NodeJS.Timeout;
+    const queueChange = (uri: vscode.Uri) => {
+        // Open documents are analyzed from the editor, including unsaved changes
+        if (isOpen(uri)) return;
+        changedFiles.set(uri.toString(), uri);
+        clearTimeout(changeFlush);
+        changeFlush = setTimeout(() => analyzeChangedFiles(), 300);
+    };
+    context.subscriptions.push(
+        watcher,
+        watcher.onDidChange(queueChange),
+        watcher.onDidCreate(queueChange),
+        watcher.onDidDelete(uri => {
+            changedFiles.delete(uri.toString());
+            fileResults.delete(uri.toString());
+            diagnosticCollection.delete(uri);
+            analysisCache.delete(uri);
+        })
+    );
+    
     // Set up real-time analysis
     if (vscode.workspace.getConfiguration('baselineCopilot').get('enableRealTimeAnalysis')) {
         let timeout: NodeJS.Timeout;
@@ -97,38 +245,14 @@ export function activate(context: vscode.ExtensionContext) {
         statusBarItem.text = "$(sync~spin) Baseline: Analyzing...";
         
         try {
-            const code = document.getText();
-            const analysis = await analyzer.analyzeCode(code, document.languageId);
-            
-            const diagnostics: vscode.Diagnostic[] = [];
-            
-            analysis.issues.forEach(issue => {
-                const range = new vscode.Range(
-                    issue.line - 1,
-                    issue.column - 1,
-                    issue.line - 1,
-                    issue.column - 1 + issue.matchedText.length
-                );
-                
-                const diagnostic = new vscode.Diagnostic(
-                    range,
-                    `${issue.feature}: ${issue.status.replace('-', ' ')}`,
-                    getSeverity(issue.severity)
-                );
-                
-                diagnostic.code = issue.id;
-                diagnostic.source = 'baseline-copilot';
-                diagnostic.relatedInformation = [
-                    new vscode.DiagnosticRelatedInformation(
-                        new vscode.Location(document.uri, range),
-                        `Browser support: ${Object.entries(issue.browsers).map(([browser, version]) => `${browser} ${version}`).join(', ')}`
-                    )
-                ];
-                
-                diagnostics.push(diagnostic);
-            });
+            const analysis = await analysisCache.analyze(document);
             
-            diagnosticCollection.set(document.uri, diagnostics);
+            fileResults.set(document.uri.toString(), { uri: document.uri, analysis });
+            diagnosticCollection.set(document.uri, createDiagnostics(document.uri, analysis));
+            vscode.window.visibleTextEditors
+                .filter(editor => editor.document === document)
+                .forEach(editor => updateInlineHints(editor));
+            codeLensProvider.refresh();
             
             // Update status bar
             const issueCount = analysis.issues.length;
@@ -142,6 +266,291 @@ export function activate(context: vscode.ExtensionContext) {
         }
     }
     
+    // Diagnostics from line/column positions, so results from the workspace worker need no open document
+    function createDiagnostics(uri: vscode.Uri, analysis: any): vscode.Diagnostic[] {
+        const diagnostics: vscode.Diagnostic[] = [];
+        
+        analysis.issues.forEach((issue: any) => {
+            const range = new vscode.Range(
+                issue.line - 1,
+                issue.column - 1,
+                (issue.endLine ?? issue.line) - 1,
+                issue.endColumn ? issue.endColumn - 1 : issue.column - 1 + issue.matchedText.length
+            );
+            
+            const diagnostic = new vscode.Diagnostic(
+                range,
+                `${issue.feature}: ${issue.status.replace('-', ' ')}${issue.guarded ? GUARDED_NOTE : ''}`,
+                getSeverity(issue.severity)
+            );
+            
+            diagnostic.code = issue.id;
+            diagnostic.source = 'baseline-copilot';
+            diagnostic.relatedInformation = [
+                new vscode.DiagnosticRelatedInformation(
+                    new vscode.Location(uri, range),
+                    `Browser support: ${Object.entries(issue.browsers).map(([browser, version]) => `${browser} ${version}`).join(', ')}`
+                )
+            ];
+            if (issue.unsupportedBrowsers?.length > 0) {
+                diagnostic.relatedInformation.push(
+                    new vscode.DiagnosticRelatedInformation(
+                        new vscode.Location(uri, range),
+                        `Not supported by targets: ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}`
+                    )
+                );
+            }
+            
+            diagnostics.push(diagnostic);
+        });
+        
+        analysis.unusedSuppressions.forEach((directive: any) => {
+            const diagnostic = new vscode.Diagnostic(
+                new vscode.Range(directive.line - 1, directive.column - 1, directive.endLine - 1, directive.endColumn - 1),
+                directive.message,
+                vscode.DiagnosticSeverity.Information
+            );
+            diagnostic.code = 'unused-suppression';
+            diagnostic.source = 'baseline-copilot';
+            diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+            diagnostics.push(diagnostic);
+        });
+        
+        return diagnostics;
+    }
+    
+    function analyzerOptions() {
+        const config = vscode.workspace.getConfiguration('baselineCopilot');
+        return {
+            targets: config.get<string[]>('targetBrowsers'),
+            rules: config.get<Record<string, string>>('rules'),
+            riskTolerance: config.get<string>('riskTolerance')
+        };
+    }
+    
+    function excludeGlob(): string {
+        const excludePatterns = vscode.workspace.getConfiguration('baselineCopilot').get<string[]>('excludePatterns') || [];
+        return `{${excludePatterns.join(',')}}`;
+    }
+    
+    function isOpen(uri: vscode.Uri): boolean {
+        return vscode.workspace.textDocuments.some(document => document.uri.toString() === uri.toString());
+    }
+    
+    // Whether a file matches the workspace scan, i.e. is not excluded by baselineCopilot.excludePatterns
+    async function isIncluded(uri: vscode.Uri): Promise<boolean> {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) return false;
+        const matches = await vscode.workspace.findFiles(
+            new vscode.RelativePattern(folder, path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/')),
+            excludeGlob(),
+            1
+        );
+        return matches.length > 0;
+    }
+    
+    // Analyzes files from disk in the worker and publishes their diagnostics
+    function scanFiles(uris: vscode.Uri[], onFile?: () => void, token?: vscode.CancellationToken): Promise<void> {
+        return scanner.analyze(uris.map(uri => uri.fsPath), (file, analysis) => {
+            const uri = vscode.Uri.file(file);
+            // Opened while queued; the editor's text is authoritative
+            if (analysis && !isOpen(uri)) {
+                fileResults.set(uri.toString(), { uri, analysis });
+                diagnosticCollection.set(uri, createDiagnostics(uri, analysis));
+            }
+            onFile?.();
+        }, token);
+    }
+    
+    async function analyzeChangedFiles() {
+        const uris = [...changedFiles.values()];
+        changedFiles.clear();
+        
+        const included: vscode.Uri[] = [];
+        for (const uri of uris) {
+            if ((workspaceScanned || diagnosticCollection.has(uri)) && await isIncluded(uri)) {
+                included.push(uri);
+            }
+        }
+        await scanFiles(included);
+    }
+    
+    // Wraps the usage in a feature-detection guard with the feature's fallback in the other branch
+    async function addFallback(uri: vscode.Uri, id: string, range: vscode.Range) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const feature = analyzer.features.get(id);
+        const edit = createFallbackEdit(
+            document.getText(),
+            document.languageId,
+            { id, start: document.offsetAt(range.start), end: document.offsetAt(range.end) },
+            feature?.fallback
+        );
+        if (!edit) {
+            vscode.window.showWarningMessage(`No feature-detection guard can be added for ${feature?.name || id} here`);
+            return;
+        }
+
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        workspaceEdit.replace(uri, new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)), edit.text);
+        await vscode.workspace.applyEdit(workspaceEdit);
+    }
+    
+    // Imports the feature's polyfill at the top of the file and adds its package to the nearest package.json
+    async function addPolyfill(uri: vscode.Uri, id: string) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const name = analyzer.features.get(id)?.polyfill;
+        const polyfill = name && polyfillsByName[name];
+        if (!polyfill) {
+            vscode.window.showWarningMessage(`No polyfill is known for ${id}`);
+            return;
+        }
+        
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        const insertion = createPolyfillImport(document.getText(), document.languageId, name);
+        if (insertion) {
+            workspaceEdit.insert(uri, document.positionAt(insertion.offset), insertion.text);
+        }
+        
+        const packageJson = await findPackageJson(uri);
+        let addedDependency = false;
+        if (packageJson) {
+            try {
+                const updated = addPolyfillDependency(packageJson.getText(), name);
+                if (updated !== null) {
+                    const fullRange = new vscode.Range(packageJson.positionAt(0), packageJson.positionAt(packageJson.getText().length));
+                    workspaceEdit.replace(packageJson.uri, fullRange, updated);
+                    addedDependency = true;
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Baseline Copilot: ${(error as Error).message} (${packageJson.uri.fsPath})`);
+                return;
+            }
+        }
+        
+        if (!insertion && !addedDependency) {
+            vscode.window.showInformationMessage(`${name} is already imported and installed`);
+            return;
+        }
+        
+        await vscode.workspace.applyEdit(workspaceEdit);
+        const notes = [
+            addedDependency ? `Added ${polyfill.package}@${polyfill.version} to package.json; run your package manager's install.` : '',
+            polyfill.note || ''
+        ].filter(Boolean);
+        if (notes.length > 0) {
+            vscode.window.showInformationMessage(notes.join(' '));
+        }
+    }
+    
+    // Nearest package.json from the file up to its workspace folder
+    async function findPackageJson(uri: vscode.Uri): Promise<vscode.TextDocument | undefined> {
+        const root = vscode.workspace.getWorkspaceFolder(uri)?.uri.fsPath;
+        if (!root) return undefined;
+        
+        for (let dir = path.dirname(uri.fsPath); dir.startsWith(root); dir = path.dirname(dir)) {
+            try {
+                return await vscode.workspace.openTextDocument(vscode.Uri.file(path.join(dir, 'package.json')));
+            } catch {
+                // Keep looking in the parent directory
+            }
+            if (dir === root) break;
+        }
+        return undefined;
+    }
+    
+    function setGrouping(mode: GroupingMode) {
+        treeProvider.setGrouping(mode);
+        context.workspaceState.update('baselineCopilot.treeGrouping', mode);
+        vscode.commands.executeCommand('setContext', 'baselineCopilot.treeGrouping', mode);
+    }
+    
+    function openMdn(node: TreeNode) {
+        const id = node.type === 'finding' ? String(node.diagnostic.code) : node.id;
+        const mdn = analyzer.features.get(id)?.mdn;
+        if (mdn) {
+            vscode.env.openExternal(vscode.Uri.parse(mdn));
+        }
+    }
+    
+    async function suppressFinding(node: FindingNode) {
+        const document = await vscode.workspace.openTextDocument(node.uri);
+        await vscode.workspace.applyEdit(createSuppressionEdit(document, node.diagnostic.range.start.line, String(node.diagnostic.code)));
+    }
+    
+    // Runs the feature's codemod on just this finding
+    async function applyFix(node: FindingNode) {
+        const document = await vscode.workspace.openTextDocument(node.uri);
+        const id = String(node.diagnostic.code);
+        const issue = {
+            id,
+            feature: analyzer.features.get(id)?.name || id,
+            start: document.offsetAt(node.diagnostic.range.start),
+            line: node.diagnostic.range.start.line + 1
+        };
+        const { applied, skipped } = applyFixes(document.getText(), document.languageId, [issue]);
+        if (applied.length === 0) {
+            vscode.window.showWarningMessage(`Cannot fix ${issue.feature} automatically: ${skipped[0]?.reason || 'no matching code'}`);
+            return;
+        }
+        
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        applied.forEach(edit => {
+            workspaceEdit.replace(node.uri, new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)), edit.after);
+        });
+        await vscode.workspace.applyEdit(workspaceEdit);
+    }
+    
+    function showInlineHints(): boolean {
+        return vscode.workspace.getConfiguration('baselineCopilot').get<boolean>('showInlineHints', true);
+    }
+    
+    function updateInlineHints(editor: vscode.TextEditor) {
+        const analysis = analysisCache.latest(editor.document.uri);
+        if (!showInlineHints() || !analysis) {
+            editor.setDecorations(hintDecoration, []);
+            editor.setDecorations(newlyAvailableDecoration, []);
+            editor.setDecorations(limitedAvailabilityDecoration, []);
+            return;
+        }
+        
+        // One hint per line, placed after the line's last character
+        const hintsByLine = new Map<number, string[]>();
+        analysis.issues.forEach((issue: any) => {
+            const hints = hintsByLine.get(issue.line - 1) || [];
+            hints.push(describeInlineHint(issue));
+            hintsByLine.set(issue.line - 1, hints);
+        });
+        editor.setDecorations(hintDecoration, [...hintsByLine].map(([line, hints]) => {
+            const end = editor.document.lineAt(line).range.end;
+            const unique = [...new Set(hints)];
+            return {
+                range: new vscode.Range(end, end),
+                renderOptions: { after: { contentText: unique.length > 2 ? `${unique.slice(0, 2).join('  |  ')}  +${unique.length - 2}` : unique.join('  |  ') } }
+            };
+        }));
+        
+        const gutterRanges = (status: string) => analysis.issues
+            .filter((issue: any) => issue.status === status)
+            .map((issue: any) => new vscode.Range(issue.line - 1, 0, issue.line - 1, 0));
+        editor.setDecorations(newlyAvailableDecoration, gutterRanges('newly-available'));
+        editor.setDecorations(limitedAvailabilityDecoration, gutterRanges('limited'));
+    }
+    
+    function browserName(browser: string): string {
+        return (analyzer.browserReleases as Record<string, { name?: string }>)[browser]?.name || browser;
+    }
+    
+    // "Baseline 2023 · Safari 16+" or "Limited availability · No Firefox"
+    function describeInlineHint(issue: any): string {
+        // Dates may be ranged, e.g. "≤2020-03-24"
+        const year = String(issue.baseline || '').match(/\d{4}/)?.[0];
+        const status = issue.status === 'limited' || !year ? 'Limited availability' : `Baseline ${year}`;
+        const { browser, version } = lastShippedBrowser(analyzer.features.get(issue.id)?.support, analyzer.browserReleases);
+        const name = browserName(browser);
+        const hint = `${status} · ${version ? `${name} ${version}+` : `No ${name}`}`;
+        return issue.guarded ? `${hint} · guarded` : hint;
+    }
+    
     function getSeverity(severity: string): vscode.DiagnosticSeverity {
         switch (severity) {
             case 'error': return vscode.DiagnosticSeverity.Error;
@@ -167,36 +576,34 @@ export function activate(context: vscode.ExtensionContext) {
             return;
         }
         
-        const excludePatterns = vscode.workspace.getConfiguration('baselineCopilot').get<string[]>('excludePatterns') || [];
-        const filePattern = '**/*.{js,ts,jsx,tsx,css,html}';
-        
         vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: "Analyzing workspace compatibility...",
             cancellable: true
         }, async (progress, token) => {
-            const files = await vscode.workspace.findFiles(filePattern, `{${excludePatterns.join(',')}}`);
+            const files = await vscode.workspace.findFiles(SOURCE_GLOB, excludeGlob(), undefined, token);
             let processedFiles = 0;
+            const reportProgress = () => {
+                processedFiles++;
+                progress.report({
+                    increment: (100 / files.length),
+                    message: `Processed ${processedFiles}/${files.length} files`
+                });
+            };
             
+            // Open documents may have unsaved changes, so only closed files are read from disk
+            const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.toString(), document]));
             for (const fileUri of files) {
-                if (token.isCancellationRequested) {
-                    break;
-                }
-                
-                try {
-                    const document = await vscode.workspace.openTextDocument(fileUri);
-                    await analyzeDocument(document);
-                    
-                    processedFiles++;
-                    progress.report({
-                        increment: (100 / files.length),
-                        message: `Processed ${processedFiles}/${files.length} files`
-                    });
-                } catch (error) {
-                    console.error(`Failed to analyze ${fileUri.fsPath}:`, error);
-                }
+                const document = openDocuments.get(fileUri.toString());
+                if (!document || token.isCancellationRequested) continue;
+                await analyzeDocument(document);
+                reportProgress();
             }
+            await scanFiles(files.filter(fileUri => !openDocuments.has(fileUri.toString())), reportProgress, token);
             
+            if (!token.isCancellationRequested) {
+                workspaceScanned = true;
+            }
             vscode.window.showInformationMessage(`Workspace analysis complete: ${processedFiles} files processed`);
         });
     }
@@ -212,7 +619,7 @@ export function activate(context: vscode.ExtensionContext) {
         const allDiagnostics = new Map<string, vscode.Diagnostic[]>();
         diagnosticCollection.forEach((uri, diagnostics) => {
             if (diagnostics.length > 0) {
-                allDiagnostics.set(uri.fsPath, diagnostics);
+                allDiagnostics.set(uri.fsPath, [...diagnostics]);
             }
         });
         
@@ -282,7 +689,12 @@ Generated for **${workspaceName}** on ${date}
     }
     
     async function showCompatibilityPanel() {
-        const panel = vscode.window.createWebviewPanel(
+        if (dashboard) {
+            dashboard.reveal(vscode.ViewColumn.Two);
+            return;
+        }
+        
+        dashboard = vscode.window.createWebviewPanel(
             'baselineCompatibility',
             'Baseline Copilot',
             vscode.ViewColumn.Two,
@@ -292,14 +704,24 @@ Generated for **${workspaceName}** on ${date}
             }
         );
         
-        panel.webview.html = getWebviewContent();
+        dashboard.webview.html = getWebviewContent(getNonce());
+        dashboard.onDidDispose(() => dashboard = undefined);
         
         // Handle messages from the webview
-        panel.webview.onDidReceiveMessage(async (message) => {
+        dashboard.webview.onDidReceiveMessage(async (message) => {
             switch (message.command) {
+                case 'ready':
+                    updateDashboard();
+                    break;
+                case 'reveal':
+                    await revealLocation(message.uri, message.line, message.column);
+                    break;
                 case 'analyzeCurrentFile':
                     await analyzeCurrentFile();
                     break;
+                case 'analyzeWorkspace':
+                    await analyzeWorkspace();
+                    break;
                 case 'generateReport':
                     await generateReport();
                     break;
@@ -310,11 +732,93 @@ Generated for **${workspaceName}** on ${date}
         });
     }
     
-    function getWebviewContent(): string {
+    function updateDashboard() {
+        dashboard?.webview.postMessage({ type: 'update', data: buildDashboardData() });
+    }
+    
+    async function revealLocation(uri: string, line: number, column: number) {
+        const position = new vscode.Position(line - 1, column - 1);
+        await vscode.window.showTextDocument(vscode.Uri.parse(uri), {
+            viewColumn: vscode.ViewColumn.One,
+            selection: new vscode.Range(position, position)
+        });
+    }
+    
+    // Aggregates fileResults into what the dashboard renders. Locations are the first occurrence
+    // so every row can reveal something in the editor.
+    function buildDashboardData() {
+        const results = [...fileResults.values()];
+        const location = (uri: vscode.Uri, issue: any) => ({ uri: uri.toString(), line: issue.line, column: issue.column });
+        const risk: Record<string, number> = { low: 0, medium: 0, high: 0 };
+        const features = new Map<string, any>();
+        const gaps = new Map<string, { browser: string; name: string; features: Set<string>; count: number; location: any }>();
+        let issueCount = 0;
+        let scoreTotal = 0;
+        
+        results.forEach(({ uri, analysis }) => {
+            risk[analysis.summary.riskLevel]++;
+            scoreTotal += analysis.summary.compatibilityScore;
+            issueCount += analysis.issues.length;
+            
+            analysis.issues.forEach((issue: any) => {
+                const feature = features.get(issue.id) || { id: issue.id, name: issue.feature, status: issue.status, count: 0, location: location(uri, issue) };
+                feature.count++;
+                features.set(issue.id, feature);
+                
+                // Without configured targets, a gap is a core browser that has not shipped the feature at all
+                const missing: string[] = issue.targetStatus
+                    ? (issue.unsupportedBrowsers || []).map((entry: any) => entry.browser)
+                    : BROWSERS.filter(browser => !analyzer.features.get(issue.id)?.support?.[browser]);
+                missing.forEach(browser => {
+                    const gap = gaps.get(browser) || {
+                        browser,
+                        name: browserName(browser),
+                        features: new Set<string>(),
+                        count: 0,
+                        location: location(uri, issue)
+                    };
+                    gap.features.add(issue.id);
+                    gap.count++;
+                    gaps.set(browser, gap);
+                });
+            });
+        });
+        
+        return {
+            files: results.length,
+            issues: issueCount,
+            compatibilityScore: results.length > 0 ? Math.round(scoreTotal / results.length) : null,
+            risk,
+            topFeatures: [...features.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)).slice(0, 10),
+            browserGaps: [...gaps.values()]
+                .map(gap => ({ ...gap, features: gap.features.size }))
+                .sort((a, b) => b.features - a.features || a.name.localeCompare(b.name)),
+            riskyFiles: results
+                .filter(({ analysis }) => analysis.issues.length > 0)
+                .sort((a, b) => b.analysis.summary.riskScore - a.analysis.summary.riskScore || b.analysis.issues.length - a.analysis.issues.length)
+                .slice(0, 50)
+                .map(({ uri, analysis }) => ({
+                    path: vscode.workspace.asRelativePath(uri),
+                    riskLevel: analysis.summary.riskLevel,
+                    riskScore: Math.round(analysis.summary.riskScore),
+                    issues: analysis.issues.length,
+                    location: location(uri, analysis.issues[0])
+                }))
+        };
+    }
+    
+    function getNonce(): string {
+        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        return Array.from({ length: 32 }, () => characters.charAt(Math.floor(Math.random() * characters.length))).join('');
+    }
+    
+    // Static shell; the data arrives in `update` messages and is rendered with textContent only
+    function getWebviewContent(nonce: string): string {
         return `<!DOCTYPE html>
         <html lang="en">
         <head>
             <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
             <title>Baseline Copilot</title>
             <style>
@@ -376,6 +880,46 @@ Generated for **${workspaceName}** on ${date}
                     font-size: 12px;
                     opacity: 0.8;
                 }
+                .bar {
+                    display: flex;
+                    height: 12px;
+                    border-radius: 2px;
+                    overflow: hidden;
+                    background-color: var(--vscode-editorWidget-background);
+                }
+                .bar-low { background-color: var(--vscode-charts-green); }
+                .bar-medium { background-color: var(--vscode-charts-yellow); }
+                .bar-high { background-color: var(--vscode-charts-red); }
+                .legend {
+                    font-size: 12px;
+                    margin-top: 6px;
+                    opacity: 0.8;
+                }
+                table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+                th, td {
+                    text-align: left;
+                    padding: 4px 8px;
+                }
+                th {
+                    font-weight: normal;
+                    opacity: 0.8;
+                    border-bottom: 1px solid var(--vscode-panel-border);
+                }
+                td.number {
+                    text-align: right;
+                }
+                tbody tr {
+                    cursor: pointer;
+                }
+                tbody tr:hover {
+                    background-color: var(--vscode-list-hoverBackground);
+                }
+                .empty {
+                    opacity: 0.8;
+                }
             </style>
         </head>
         <body>
@@ -386,14 +930,19 @@ Generated for **${workspaceName}** on ${date}
             
             <div class="section">
                 <h3>Quick Actions</h3>
-                <button class="button" onclick="analyzeFile()">🔍 Analyze Current File</button>
-                <button class="button" onclick="generateReport()">📊 Generate Report</button>
-                <button class="button" onclick="openSettings()">⚙️ Settings</button>
+                <button class="button" data-command="analyzeCurrentFile">🔍 Analyze Current File</button>
+                <button class="button" data-command="analyzeWorkspace">🗂️ Analyze Workspace</button>
+                <button class="button" data-command="generateReport">📊 Generate Report</button>
+                <button class="button" data-command="openSettings">⚙️ Settings</button>
             </div>
             
             <div class="section">
                 <h3>Workspace Overview</h3>
                 <div class="stats">
+                    <div class="stat">
+                        <div class="stat-value" id="compatibilityScore">-</div>
+                        <div class="stat-label">Compatibility Score</div>
+                    </div>
                     <div class="stat">
                         <div class="stat-value" id="fileCount">-</div>
                         <div class="stat-label">Files Analyzed</div>
@@ -402,11 +951,34 @@ Generated for **${workspaceName}** on ${date}
                         <div class="stat-value" id="issueCount">-</div>
                         <div class="stat-label">Issues Found</div>
                     </div>
-                    <div class="stat">
-                        <div class="stat-value" id="riskLevel">-</div>
-                        <div class="stat-label">Risk Level</div>
-                    </div>
                 </div>
+                <h4>Risk Distribution</h4>
+                <div class="bar" id="riskBar"></div>
+                <div class="legend" id="riskLegend"></div>
+            </div>
+            
+            <div class="section">
+                <h3>Top Features</h3>
+                <table>
+                    <thead><tr><th>Feature</th><th>Status</th><th>Occurrences</th></tr></thead>
+                    <tbody id="topFeatures"></tbody>
+                </table>
+            </div>
+            
+            <div class="section">
+                <h3>Browser Support Gaps</h3>
+                <table>
+                    <thead><tr><th>Browser</th><th>Features missing</th><th>Occurrences</th></tr></thead>
+                    <tbody id="browserGaps"></tbody>
+                </table>
+            </div>
+            
+            <div class="section">
+                <h3>Files by Risk</h3>
+                <table>
+                    <thead><tr><th>File</th><th>Risk</th><th>Score</th><th>Issues</th></tr></thead>
+                    <tbody id="riskyFiles"></tbody>
+                </table>
             </div>
             
             <div class="section">
@@ -419,30 +991,81 @@ Generated for **${workspaceName}** on ${date}
                 </ul>
             </div>
             
-            <script>
+            <script nonce="${nonce}">
                 const vscode = acquireVsCodeApi();
                 
-                function analyzeFile() {
-                    vscode.postMessage({ command: 'analyzeCurrentFile' });
-                }
+                document.querySelectorAll('[data-command]').forEach(button => {
+                    button.addEventListener('click', () => vscode.postMessage({ command: button.dataset.command }));
+                });
                 
-                function generateReport() {
-                    vscode.postMessage({ command: 'generateReport' });
+                // Rows reveal their location in the editor
+                function renderRows(id, rows, columns, emptyText) {
+                    const body = document.getElementById(id);
+                    body.replaceChildren();
+                    if (rows.length === 0) {
+                        const cell = document.createElement('td');
+                        cell.colSpan = columns.length;
+                        cell.className = 'empty';
+                        cell.textContent = emptyText;
+                        body.appendChild(document.createElement('tr')).appendChild(cell);
+                        return;
+                    }
+                    rows.forEach(row => {
+                        const tr = document.createElement('tr');
+                        tr.title = 'Reveal in editor';
+                        tr.addEventListener('click', () => vscode.postMessage({ command: 'reveal', ...row.location }));
+                        columns.forEach(column => {
+                            const cell = document.createElement('td');
+                            const value = column(row);
+                            if (typeof value === 'number') cell.className = 'number';
+                            cell.textContent = String(value);
+                            tr.appendChild(cell);
+                        });
+                        body.appendChild(tr);
+                    });
                 }
                 
-                function openSettings() {
-                    vscode.postMessage({ command: 'openSettings' });
+                function renderRisk(risk, files) {
+                    const bar = document.getElementById('riskBar');
+                    bar.replaceChildren();
+                    ['low', 'medium', 'high'].forEach(level => {
+                        if (!risk[level]) return;
+                        const segment = document.createElement('div');
+                        segment.className = 'bar-' + level;
+                        segment.style.width = (risk[level] / files * 100) + '%';
+                        bar.appendChild(segment);
+                    });
+                    document.getElementById('riskLegend').textContent =
+                        'Low ' + risk.low + ' · Medium ' + risk.medium + ' · High ' + risk.high + ' files';
                 }
                 
-                // Update stats periodically
-                function updateStats() {
-                    // This would be populated with real data from the extension
-                    document.getElementById('fileCount').textContent = '0';
-                    document.getElementById('issueCount').textContent = '0';
-                    document.getElementById('riskLevel').textContent = 'Low';
+                function render(data) {
+                    document.getElementById('compatibilityScore').textContent = data.compatibilityScore === null ? '-' : data.compatibilityScore;
+                    document.getElementById('fileCount').textContent = data.files;
+                    document.getElementById('issueCount').textContent = data.issues;
+                    renderRisk(data.risk, data.files);
+                    renderRows('topFeatures', data.topFeatures, [
+                        feature => feature.name,
+                        feature => feature.status.replace('-', ' '),
+                        feature => feature.count
+                    ], 'No features detected yet');
+                    renderRows('browserGaps', data.browserGaps, [
+                        gap => gap.name,
+                        gap => gap.features,
+                        gap => gap.count
+                    ], 'No support gaps');
+                    renderRows('riskyFiles', data.riskyFiles, [
+                        file => file.path,
+                        file => file.riskLevel,
+                        file => file.riskScore,
+                        file => file.issues
+                    ], 'Analyze the workspace to rank files');
                 }
                 
-                updateStats();
+                window.addEventListener('message', event => {
+                    if (event.data.type === 'update') render(event.data.data);
+                });
+                vscode.postMessage({ command: 'ready' });
             </script>
         </body>
         </html>`;
@@ -451,29 +1074,358 @@ Generated for **${workspaceName}** on ${date}
     context.subscriptions.push(diagnosticCollection, statusBarItem);
 }
 
-class BaselineHoverProvider implements vscode.HoverProvider {
+// Suppress with a disable-next-line directive above the finding
+function createSuppressionEdit(document: vscode.TextDocument, lineNumber: number, id: string): vscode.WorkspaceEdit {
+    const line = document.lineAt(lineNumber);
+    const indentation = line.text.slice(0, line.firstNonWhitespaceCharacterIndex);
+    const edit = new vscode.WorkspaceEdit();
+    edit.insert(document.uri, line.range.start, `${indentation}${suppressionComment(id, document.languageId)}\n`);
+    return edit;
+}
+
+type GroupingMode = 'feature' | 'file' | 'severity';
+
+interface FindingNode {
+    type: 'finding';
+    uri: vscode.Uri;
+    diagnostic: vscode.Diagnostic;
+    label: string;
+    description: string;
+}
+
+interface GroupNode {
+    type: 'feature' | 'file' | 'severity';
+    id: string;
+    children: TreeNode[];
+    count: number;
+}
+
+type TreeNode = FindingNode | GroupNode;
+
+const SEVERITY_GROUPS: Record<number, { label: string; icon: string }> = {
+    [vscode.DiagnosticSeverity.Error]: { label: 'Errors', icon: 'error' },
+    [vscode.DiagnosticSeverity.Warning]: { label: 'Warnings', icon: 'warning' },
+    [vscode.DiagnosticSeverity.Information]: { label: 'Info', icon: 'info' },
+    [vscode.DiagnosticSeverity.Hint]: { label: 'Hints', icon: 'lightbulb' }
+};
+
+const STATUS_ICONS: Record<string, vscode.ThemeIcon> = {
+    'widely-available': new vscode.ThemeIcon('pass-filled', new vscode.ThemeColor('testing.iconPassed')),
+    'newly-available': new vscode.ThemeIcon('circle-large-filled', new vscode.ThemeColor('charts.blue')),
+    'limited': new vscode.ThemeIcon('circle-slash', new vscode.ThemeColor('problemsErrorIcon.foreground'))
+};
+
+// Workspace findings from the diagnostic collection: feature → file → occurrence by default,
+// or file → occurrence, or severity → feature → occurrence
+class BaselineTreeProvider implements vscode.TreeDataProvider<TreeNode> {
+    private changeEmitter = new vscode.EventEmitter<TreeNode | undefined>();
+    readonly onDidChangeTreeData = this.changeEmitter.event;
+    private roots: TreeNode[] | null = null;
+    
+    constructor(
+        private diagnostics: vscode.DiagnosticCollection,
+        private analyzer: EnhancedBaselineAnalyzer,
+        public grouping: GroupingMode
+    ) {}
+    
+    setGrouping(mode: GroupingMode) {
+        this.grouping = mode;
+        this.refresh();
+    }
+    
+    refresh() {
+        this.roots = null;
+        this.changeEmitter.fire(undefined);
+    }
+    
+    getChildren(element?: TreeNode): TreeNode[] {
+        if (element) {
+            return element.type === 'finding' ? [] : element.children;
+        }
+        this.roots = this.roots || this.buildTree();
+        return this.roots;
+    }
+    
+    getTreeItem(node: TreeNode): vscode.TreeItem {
+        if (node.type === 'finding') {
+            const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.None);
+            item.description = node.description;
+            item.tooltip = node.diagnostic.message;
+            item.iconPath = new vscode.ThemeIcon(SEVERITY_GROUPS[node.diagnostic.severity].icon);
+            // Only findings with a codemod offer "Apply Fix"
+            item.contextValue = transformsById[String(node.diagnostic.code)] ? 'finding.fixable' : 'finding';
+            item.command = {
+                command: 'vscode.open',
+                title: 'Go to Finding',
+                arguments: [node.uri, { selection: node.diagnostic.range }]
+            };
+            return item;
+        }
+        
+        const state = vscode.TreeItemCollapsibleState.Collapsed;
+        if (node.type === 'file') {
+            const uri = vscode.Uri.parse(node.id);
+            const item = new vscode.TreeItem(uri, state);
+            item.description = `${path.dirname(vscode.workspace.asRelativePath(uri))} · ${node.count}`;
+            item.iconPath = vscode.ThemeIcon.File;
+            item.contextValue = 'file';
+            return item;
+        }
+        
+        if (node.type === 'severity') {
+            const group = SEVERITY_GROUPS[Number(node.id)];
+            const item = new vscode.TreeItem(group.label, state);
+            item.description = String(node.count);
+            item.iconPath = new vscode.ThemeIcon(group.icon);
+            item.contextValue = 'severity';
+            return item;
+        }
+        
+        const feature = this.analyzer.features.get(node.id);
+        const item = new vscode.TreeItem(feature?.name || node.id, state);
+        item.description = String(node.count);
+        item.tooltip = feature ? `${feature.name}: ${feature.status.replace('-', ' ')}` : node.id;
+        item.iconPath = STATUS_ICONS[feature?.status] || new vscode.ThemeIcon('circle-large-outline');
+        item.contextValue = 'feature';
+        return item;
+    }
+    
+    private buildTree(): TreeNode[] {
+        const findings: FindingNode[] = [];
+        this.diagnostics.forEach((uri, diagnostics) => {
+            diagnostics
+                .filter(diagnostic => diagnostic.code !== 'unused-suppression')
+                .forEach(diagnostic => findings.push({ type: 'finding', uri, diagnostic, label: '', description: '' }));
+        });
+        
+        const featureName = (finding: FindingNode) => this.analyzer.features.get(String(finding.diagnostic.code))?.name || String(finding.diagnostic.code);
+        const fileName = (finding: FindingNode) => vscode.workspace.asRelativePath(finding.uri);
+        const line = (finding: FindingNode) => `Line ${finding.diagnostic.range.start.line + 1}`;
+        const label = (describe: (finding: FindingNode) => [string, string]) => (finding: FindingNode): FindingNode => {
+            const [text, description] = describe(finding);
+            return { ...finding, label: text, description };
+        };
+        
+        switch (this.grouping) {
+            case 'file':
+                return this.group(findings, 'file', finding => finding.uri.toString(), items =>
+                    items.map(label(finding => [featureName(finding), line(finding)])));
+            case 'severity':
+                return this.group(findings, 'severity', finding => String(finding.diagnostic.severity), items =>
+                    this.group(items, 'feature', finding => String(finding.diagnostic.code), occurrences =>
+                        occurrences.map(label(finding => [`${fileName(finding)}:${finding.diagnostic.range.start.line + 1}`, '']))));
+            default:
+                return this.group(findings, 'feature', finding => String(finding.diagnostic.code), items =>
+                    this.group(items, 'file', finding => finding.uri.toString(), occurrences =>
+                        occurrences.map(label(finding => [line(finding), finding.diagnostic.message]))));
+        }
+    }
+    
+    private group(findings: FindingNode[], type: GroupNode['type'], key: (finding: FindingNode) => string, children: (findings: FindingNode[]) => TreeNode[]): GroupNode[] {
+        const groups = new Map<string, FindingNode[]>();
+        findings.forEach(finding => {
+            const id = key(finding);
+            groups.set(id, [...(groups.get(id) || []), finding]);
+        });
+        
+        const byPosition = (a: FindingNode, b: FindingNode) => a.diagnostic.range.start.compareTo(b.diagnostic.range.start);
+        return [...groups.entries()]
+            .map(([id, items]) => ({ type, id, count: items.length, children: children(items.sort(byPosition)) }))
+            // Severity groups come in severity order, the most frequent features and files first
+            .sort((a, b) => type === 'severity' ? Number(a.id) - Number(b.id) : b.count - a.count || a.id.localeCompare(b.id));
+    }
+}
+
+// One analysis per document version, shared by diagnostics, hovers, hints and CodeLens.
+// Concurrent requests for the same version wait on the same run.
+class AnalysisCache {
+    private results = new Map<string, { version: number; analysis: any }>();
+    private pending = new Map<string, { version: number; promise: Promise<any> }>();
+    // Bumped by clear() so runs started under the old targets or rules are not stored
+    private generation = 0;
+    
     constructor(private analyzer: EnhancedBaselineAnalyzer) {}
     
+    analyze(document: vscode.TextDocument): Promise<any> {
+        const key = document.uri.toString();
+        const version = document.version;
+        const result = this.results.get(key);
+        if (result?.version === version) return Promise.resolve(result.analysis);
+        const running = this.pending.get(key);
+        if (running?.version === version) return running.promise;
+        
+        const generation = this.generation;
+        const promise = this.analyzer.analyzeCode(document.getText(), document.languageId)
+            .then((analysis: any) => {
+                // A later version may have finished first
+                const latest = this.results.get(key);
+                if (generation === this.generation && (!latest || latest.version < version)) {
+                    this.results.set(key, { version, analysis });
+                }
+                return analysis;
+            })
+            .finally(() => {
+                if (this.pending.get(key)?.promise === promise) this.pending.delete(key);
+            });
+        this.pending.set(key, { version, promise });
+        return promise;
+    }
+    
+    // Most recent finished analysis, possibly of an older version while an edit is being analyzed
+    latest(uri: vscode.Uri): any {
+        return this.results.get(uri.toString())?.analysis;
+    }
+    
+    delete(uri: vscode.Uri) {
+        this.results.delete(uri.toString());
+        this.pending.delete(uri.toString());
+    }
+    
+    clear() {
+        this.generation++;
+        this.results.clear();
+        this.pending.clear();
+    }
+}
+
+interface ScanRequest {
+    onResult: (file: string, analysis: any | null) => void;
+    resolve: () => void;
+}
+
+// Runs workspaceWorker.js, started on first use and again after it exits. Results arrive per file
+// so diagnostics show up while a scan is still running.
+class WorkspaceScanner implements vscode.Disposable {
+    private worker: Worker | undefined;
+    private nextId = 0;
+    private requests = new Map<number, ScanRequest>();
+    
+    constructor(
+        private script: string,
+        private options: () => { targets?: string[]; rules?: Record<string, string> }
+    ) {}
+    
+    analyze(files: string[], onResult: ScanRequest['onResult'], token?: vscode.CancellationToken): Promise<void> {
+        if (files.length === 0) return Promise.resolve();
+        
+        const worker = this.start();
+        const id = this.nextId++;
+        return new Promise(resolve => {
+            const cancellation = token?.onCancellationRequested(() => worker.postMessage({ type: 'cancel', id }));
+            this.requests.set(id, {
+                onResult,
+                resolve: () => {
+                    cancellation?.dispose();
+                    resolve();
+                }
+            });
+            worker.postMessage({ type: 'analyze', id, files });
+        });
+    }
+    
+    // Picks up changed target browsers or rules
+    configure() {
+        this.worker?.postMessage({ type: 'configure', ...this.options() });
+    }
+    
+    dispose() {
+        this.worker?.terminate();
+        this.worker = undefined;
+        this.finishAll();
+    }
+    
+    private start(): Worker {
+        if (this.worker) return this.worker;
+        
+        const worker = new Worker(this.script, { workerData: this.options() });
+        worker.on('message', message => this.handleMessage(message));
+        worker.on('error', error => console.error('Workspace analysis worker failed:', error));
+        worker.on('exit', () => {
+            if (this.worker !== worker) return;
+            this.worker = undefined;
+            this.finishAll();
+        });
+        this.worker = worker;
+        return worker;
+    }
+    
+    private handleMessage(message: any) {
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        
+        switch (message.type) {
+            case 'result':
+                request.onResult(message.file, message.analysis);
+                break;
+            case 'error':
+                // A null file means the scan itself failed; its 'done' follows
+                if (message.file === null) {
+                    console.error('Workspace analysis failed:', message.message);
+                    break;
+                }
+                console.error(`Failed to analyze ${message.file}:`, message.message);
+                request.onResult(message.file, null);
+                break;
+            case 'done':
+                this.requests.delete(message.id);
+                request.resolve();
+                break;
+        }
+    }
+    
+    // Pending scans end early rather than hang when the worker goes away
+    private finishAll() {
+        this.requests.forEach(request => request.resolve());
+        this.requests.clear();
+    }
+}
+
+// "3 newly available, 1 limited" at the top of each analyzed file
+class BaselineCodeLensProvider implements vscode.CodeLensProvider {
+    private changeEmitter = new vscode.EventEmitter<void>();
+    readonly onDidChangeCodeLenses = this.changeEmitter.event;
+    
+    constructor(private analyses: AnalysisCache, private enabled: () => boolean) {}
+    
+    refresh() {
+        this.changeEmitter.fire();
+    }
+    
+    provideCodeLenses(document: vscode.TextDocument): vscode.CodeLens[] {
+        const analysis = this.analyses.latest(document.uri);
+        if (!this.enabled() || !analysis) return [];
+        
+        const newly = analysis.issues.filter((issue: any) => issue.status === 'newly-available').length;
+        const limited = analysis.issues.filter((issue: any) => issue.status === 'limited').length;
+        if (newly === 0 && limited === 0) return [];
+        
+        const summary = [newly > 0 ? `${newly} newly available` : '', limited > 0 ? `${limited} limited` : ''].filter(Boolean).join(', ');
+        return [new vscode.CodeLens(new vscode.Range(0, 0, 0, 0), {
+            title: `$(target) Baseline: ${summary}`,
+            tooltip: 'Show findings in the Browser Compatibility view',
+            command: 'baselineCompatibility.focus'
+        })];
+    }
+}
+
+class BaselineHoverProvider implements vscode.HoverProvider {
+    constructor(private analyses: AnalysisCache) {}
+    
     async provideHover(
         document: vscode.TextDocument,
         position: vscode.Position,
         token: vscode.CancellationToken
     ): Promise<vscode.Hover | undefined> {
-        const line = document.lineAt(position.line);
-        const code = line.text;
-        
         try {
-            const analysis = await this.analyzer.analyzeCode(code, document.languageId);
-            const relevantIssues = analysis.issues.filter(issue => 
-                position.character >= issue.column - 1 && 
-                position.character <= issue.column - 1 + issue.matchedText.length
-            );
+            // Reuses the analysis of the current document version; only the first hover after an edit analyzes
+            const analysis = await this.analyses.analyze(document);
+            const offset = document.offsetAt(position);
+            const issue = analysis.issues.find((candidate: any) => offset >= candidate.start && offset <= candidate.end);
             
-            if (relevantIssues.length === 0) {
+            if (!issue) {
                 return undefined;
             }
             
-            const issue = relevantIssues[0];
             const contents = new vscode.MarkdownString();
             contents.isTrusted = true;
             
@@ -484,6 +1436,10 @@ class BaselineHoverProvider implements vscode.HoverProvider {
                 contents.appendMarkdown(`- ${browser}: ${version}\n`);
             });
             
+            if (issue.unsupportedBrowsers?.length > 0) {
+                contents.appendMarkdown(`\n**Missing in targets**: ${issue.unsupportedBrowsers.map(formatUnsupported).join(', ')}\n`);
+            }
+            
             if (issue.description) {
                 contents.appendMarkdown(`\n${issue.description}\n\n`);
             }
@@ -506,6 +1462,8 @@ class BaselineHoverProvider implements vscode.HoverProvider {
 }
 
 class BaselineCodeActionProvider implements vscode.CodeActionProvider {
+    constructor(private analyzer: EnhancedBaselineAnalyzer) {}
+    
     provideCodeActions(
         document: vscode.TextDocument,
         range: vscode.Range | vscode.Selection,
@@ -515,33 +1473,57 @@ class BaselineCodeActionProvider implements vscode.CodeActionProvider {
         const actions: vscode.CodeAction[] = [];
         
         context.diagnostics
-            .filter(diagnostic => diagnostic.source === 'baseline-copilot')
+            .filter(diagnostic => diagnostic.source === 'baseline-copilot' && diagnostic.code !== 'unused-suppression')
             .forEach(diagnostic => {
-                // Add fallback suggestion
-                const addFallbackAction = new vscode.CodeAction(
-                    'Add fallback implementation',
-                    vscode.CodeActionKind.QuickFix
+                const id = String(diagnostic.code);
+                const feature = this.analyzer.features.get(id);
+                // Guarded uses and features the targets support need neither a fallback nor a polyfill
+                const needsSupport = !diagnostic.message.endsWith(GUARDED_NOTE)
+                    && (diagnostic.severity === vscode.DiagnosticSeverity.Error || diagnostic.severity === vscode.DiagnosticSeverity.Warning);
+                
+                const fallbackEdit = needsSupport && createFallbackEdit(
+                    document.getText(),
+                    document.languageId,
+                    { id, start: document.offsetAt(diagnostic.range.start), end: document.offsetAt(diagnostic.range.end) },
+                    feature?.fallback
                 );
-                addFallbackAction.diagnostics = [diagnostic];
-                addFallbackAction.command = {
-                    command: 'baselineCopilot.addFallback',
-                    title: 'Add fallback',
-                    arguments: [diagnostic.code, range]
-                };
-                actions.push(addFallbackAction);
+                if (fallbackEdit) {
+                    const addFallbackAction = new vscode.CodeAction(
+                        'Add fallback implementation',
+                        vscode.CodeActionKind.QuickFix
+                    );
+                    addFallbackAction.diagnostics = [diagnostic];
+                    addFallbackAction.command = {
+                        command: 'baselineCopilot.addFallback',
+                        title: 'Add fallback',
+                        arguments: [document.uri, id, diagnostic.range]
+                    };
+                    actions.push(addFallbackAction);
+                }
+                
+                // Polyfills are imported from JavaScript, so CSS and HTML findings do not offer one
+                const polyfill = feature?.polyfill;
+                if (needsSupport && polyfill && polyfillsByName[polyfill] && createPolyfillImport(document.getText(), document.languageId, polyfill)) {
+                    const addPolyfillAction = new vscode.CodeAction(
+                        `Add polyfill (${polyfill})`,
+                        vscode.CodeActionKind.QuickFix
+                    );
+                    addPolyfillAction.diagnostics = [diagnostic];
+                    addPolyfillAction.command = {
+                        command: 'baselineCopilot.addPolyfill',
+                        title: 'Add polyfill',
+                        arguments: [document.uri, id]
+                    };
+                    actions.push(addPolyfillAction);
+                }
                 
-                // Add polyfill suggestion
-                const addPolyfillAction = new vscode.CodeAction(
-                    'Add polyfill',
+                const suppressAction = new vscode.CodeAction(
+                    'Suppress for this line',
                     vscode.CodeActionKind.QuickFix
                 );
-                addPolyfillAction.diagnostics = [diagnostic];
-                addPolyfillAction.command = {
-                    command: 'baselineCopilot.addPolyfill',
-                    title: 'Add polyfill',
-                    arguments: [diagnostic.code]
-                };
-                actions.push(addPolyfillAction);
+                suppressAction.diagnostics = [diagnostic];
+                suppressAction.edit = createSuppressionEdit(document, diagnostic.range.start.line, id);
+                actions.push(suppressAction);
             });
         
         return actions;
@@ -0,0 +1,75 @@
+import { parentPort, workerData } from 'worker_threads';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { EnhancedBaselineAnalyzer } from '../enhanced-analyzer.js';
+
+// Workspace scans run here, off the extension host thread. Files are read from disk rather than
+// opened as documents, so a large monorepo does not keep thousands of TextDocuments alive.
+//
+// Messages in:  { type: 'configure', targets, rules, riskTolerance }
+//               { type: 'analyze', id, files }
+//               { type: 'cancel', id }
+// Messages out: { type: 'result', id, file, analysis }
+//               { type: 'error', id, file, message }   file is null when the scan itself failed
+//               { type: 'done', id }
+
+const LANGUAGES: Record<string, string> = {
+    '.js': 'javascript',
+    '.jsx': 'javascriptreact',
+    '.ts': 'typescript',
+    '.tsx': 'typescriptreact',
+    '.css': 'css',
+    '.html': 'html'
+};
+
+const analyzer = new EnhancedBaselineAnalyzer(workerData);
+const cancelled = new Set<number>();
+
+async function analyzeFiles(id: number, files: string[]) {
+    for (const file of files) {
+        // Yield between files so cancel and configure messages are handled mid-scan
+        await new Promise(resolve => setImmediate(resolve));
+        if (cancelled.has(id)) break;
+
+        const language = LANGUAGES[path.extname(file).toLowerCase()];
+        if (!language) continue;
+
+        try {
+            const code = await fs.readFile(file, 'utf-8');
+            const analysis = await analyzer.analyzeCode(code, language);
+            // Only what diagnostics need; the rest of the result does not survive structured cloning cheaply
+            parentPort!.postMessage({
+                type: 'result',
+                id,
+                file,
+                analysis: { issues: analysis.issues, unusedSuppressions: analysis.unusedSuppressions, summary: analysis.summary }
+            });
+        } catch (error) {
+            parentPort!.postMessage({ type: 'error', id, file, message: error instanceof Error ? error.message : String(error) });
+        }
+    }
+
+    cancelled.delete(id);
+    parentPort!.postMessage({ type: 'done', id });
+}
+
+parentPort!.on('message', message => {
+    switch (message.type) {
+        case 'configure':
+            analyzer.setTargets(message.targets);
+            analyzer.setRules(message.rules);
+            analyzer.setRiskTolerance(message.riskTolerance);
+            break;
+        case 'cancel':
+            cancelled.add(message.id);
+            break;
+        case 'analyze':
+            // Still end the scan when something outside the per-file handling fails, or the extension waits forever
+            analyzeFiles(message.id, message.files).catch(error => {
+                cancelled.delete(message.id);
+                parentPort!.postMessage({ type: 'error', id: message.id, file: null, message: error instanceof Error ? error.message : String(error) });
+                parentPort!.postMessage({ type: 'done', id: message.id });
+            });
+            break;
+    }
+});